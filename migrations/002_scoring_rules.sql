@@ -0,0 +1,32 @@
+-- Configurable scoring rules
+-- One default rule set per season, plus optional per-group rule sets
+
+CREATE TABLE scoring_rules (
+  id SERIAL PRIMARY KEY,
+  season VARCHAR(8) NOT NULL,
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  points JSONB NOT NULL DEFAULT '{}',
+  star_multiplier NUMERIC(4, 2) NOT NULL DEFAULT 2 CHECK (star_multiplier >= 1),
+  position_overrides JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A season has at most one default rule set and one rule set per group
+CREATE UNIQUE INDEX idx_scoring_rules_season_default ON scoring_rules(season) WHERE group_id IS NULL;
+CREATE UNIQUE INDEX idx_scoring_rules_season_group ON scoring_rules(season, group_id) WHERE group_id IS NOT NULL;
+
+CREATE TRIGGER update_scoring_rules_updated_at BEFORE UPDATE ON scoring_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Default rules match the original leaderboard view: goal/assist = 1, win = 2, shutout = 1, stars 2x.
+-- Goalies only score on wins and shutouts.
+INSERT INTO scoring_rules (season, points, star_multiplier, position_overrides) VALUES (
+  '20252026',
+  '{"goals": 1, "assists": 1, "wins": 2, "shutouts": 1}',
+  2,
+  '{"goalie": {"goals": 0, "assists": 0}}'
+);
+
+-- Points are now computed from scoring_rules by src/services/standings.js
+DROP VIEW IF EXISTS leaderboard;
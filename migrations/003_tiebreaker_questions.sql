@@ -0,0 +1,25 @@
+-- Tiebreaker questions and their real answers, per round
+-- User guesses stay in the tiebreakers table (question1_answer / question2_answer)
+
+CREATE TABLE tiebreaker_questions (
+  id SERIAL PRIMARY KEY,
+  round INT NOT NULL CHECK (round >= 1 AND round <= 3),
+  question_number INT NOT NULL CHECK (question_number IN (1, 2)),
+  question TEXT NOT NULL,
+  answer INT,
+  answered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(round, question_number)
+);
+
+CREATE TRIGGER update_tiebreaker_questions_updated_at BEFORE UPDATE ON tiebreaker_questions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO tiebreaker_questions (round, question_number, question) VALUES
+  (1, 1, 'How many total games will be played in Round 1 of the playoffs (all series combined)?'),
+  (1, 2, 'What will be the highest number of goals scored by one team in a single Round 1 game?'),
+  (2, 1, 'How many total games will be played in Round 2 of the playoffs (all series combined)?'),
+  (2, 2, 'How many overtime games will there be in Round 2?'),
+  (3, 1, 'How many total games will be played in the Conference Finals and Stanley Cup Final combined?'),
+  (3, 2, 'What will be the total number of goals scored in the Stanley Cup Final series?');
@@ -0,0 +1,28 @@
+-- Per-game player stats from the NHL game log
+-- player_stats round totals are recomputed from these rows after every fetch
+
+CREATE TABLE player_game_stats (
+  id SERIAL PRIMARY KEY,
+  player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+  nhl_game_id BIGINT NOT NULL,
+  round INT NOT NULL,
+  game_date DATE NOT NULL,
+  team_abbrev VARCHAR(3),
+  opponent_abbrev VARCHAR(3),
+  home_road CHAR(1),
+  goals INT DEFAULT 0,
+  assists INT DEFAULT 0,
+  shots INT DEFAULT 0,
+  pim INT DEFAULT 0,
+  plus_minus INT DEFAULT 0,
+  toi VARCHAR(8),
+  decision CHAR(1),
+  shutouts INT DEFAULT 0,
+  goals_against INT,
+  shots_against INT,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(player_id, nhl_game_id)
+);
+
+CREATE INDEX idx_player_game_stats_player ON player_game_stats(player_id, round);
+CREATE INDEX idx_player_game_stats_date ON player_game_stats(game_date);
@@ -0,0 +1,23 @@
+-- Leaderboard snapshots for rank history and movement
+-- 'update' snapshots are taken after each successful stats run, 'daily' once a day before games
+
+CREATE TABLE standings_snapshots (
+  id SERIAL PRIMARY KEY,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('update', 'daily')),
+  taken_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_standings_snapshots_kind ON standings_snapshots(kind, taken_at DESC);
+
+-- One row per user per scope: group_id is NULL for the global leaderboard
+CREATE TABLE standings_snapshot_entries (
+  id SERIAL PRIMARY KEY,
+  snapshot_id INT REFERENCES standings_snapshots(id) ON DELETE CASCADE,
+  group_id UUID REFERENCES groups(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  total_points NUMERIC(8, 2) NOT NULL,
+  rank INT NOT NULL
+);
+
+CREATE INDEX idx_snapshot_entries_snapshot ON standings_snapshot_entries(snapshot_id, group_id);
+CREATE INDEX idx_snapshot_entries_user ON standings_snapshot_entries(user_id, group_id);
@@ -0,0 +1,26 @@
+-- Playoff series imported from the NHL playoff-bracket endpoint
+-- round is the NHL round (1-4, 4 = Stanley Cup Final); team eliminations are derived from completed series
+
+CREATE TABLE series (
+  id SERIAL PRIMARY KEY,
+  season VARCHAR(8) NOT NULL,
+  series_letter VARCHAR(2) NOT NULL,
+  round INT NOT NULL CHECK (round >= 1 AND round <= 4),
+  title VARCHAR(50),
+  top_seed_abbrev VARCHAR(3),
+  top_seed_rank VARCHAR(4),
+  top_seed_wins INT DEFAULT 0,
+  bottom_seed_abbrev VARCHAR(3),
+  bottom_seed_rank VARCHAR(4),
+  bottom_seed_wins INT DEFAULT 0,
+  status VARCHAR(12) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'complete')),
+  winner_abbrev VARCHAR(3),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(season, series_letter)
+);
+
+CREATE INDEX idx_series_season_round ON series(season, round);
+
+CREATE TRIGGER update_series_updated_at BEFORE UPDATE ON series
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,9 @@
+-- Track stats update runs as jobs: who started them and how far along they are
+
+ALTER TABLE stat_update_log
+  ADD COLUMN trigger VARCHAR(20) DEFAULT 'scheduled' CHECK (trigger IN ('scheduled', 'manual', 'cli')),
+  ADD COLUMN triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN players_total INT,
+  ADD COLUMN players_processed INT DEFAULT 0;
+
+CREATE INDEX idx_stat_update_log_started ON stat_update_log(started_at DESC);
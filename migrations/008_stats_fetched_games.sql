@@ -0,0 +1,13 @@
+-- Incremental stats fetching
+-- A finished game is recorded once the players on both teams have been refetched,
+-- so later runs only fetch players whose teams have played since
+
+CREATE TABLE stats_fetched_games (
+  nhl_game_id BIGINT PRIMARY KEY,
+  game_date DATE NOT NULL,
+  home_abbrev VARCHAR(3),
+  away_abbrev VARCHAR(3),
+  fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE stat_update_log ADD COLUMN full_refresh BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,23 @@
+-- Audit log of every round-total stat change, reviewed by admins before it counts as verified
+-- old_value is NULL when the player had no totals for that round yet
+
+CREATE TABLE stat_changes (
+  id SERIAL PRIMARY KEY,
+  player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+  round INT NOT NULL,
+  field VARCHAR(20) NOT NULL,
+  old_value INT,
+  new_value INT NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  update_log_id INT REFERENCES stat_update_log(id) ON DELETE SET NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved')),
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_stat_changes_pending ON stat_changes(status, player_id, round, field);
+
+-- When true, standings use each stat's value from before its earliest pending change
+INSERT INTO settings (key, value) VALUES ('stats_approved_only', 'false')
+ON CONFLICT (key) DO NOTHING;
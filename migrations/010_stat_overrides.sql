@@ -0,0 +1,25 @@
+-- Manual stat corrections entered by admins
+-- A game override (nhl_game_id set) replaces that game's value before round totals are summed;
+-- a round override (nhl_game_id NULL) replaces the round total itself.
+-- For a game, wins = 1 credits the goalie with the win and wins = 0 removes it.
+-- Cleared overrides are kept for history.
+
+CREATE TABLE stat_overrides (
+  id SERIAL PRIMARY KEY,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  round INT NOT NULL CHECK (round >= 1 AND round <= 3),
+  nhl_game_id BIGINT,
+  field VARCHAR(20) NOT NULL CHECK (field IN ('goals', 'assists', 'wins', 'shutouts')),
+  value INT NOT NULL CHECK (value >= 0),
+  reason TEXT NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  cleared_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  cleared_at TIMESTAMP WITH TIME ZONE
+);
+
+-- At most one active override per stat
+CREATE UNIQUE INDEX idx_stat_overrides_active_round ON stat_overrides(player_id, round, field)
+  WHERE nhl_game_id IS NULL AND cleared_at IS NULL;
+CREATE UNIQUE INDEX idx_stat_overrides_active_game ON stat_overrides(player_id, nhl_game_id, field)
+  WHERE nhl_game_id IS NOT NULL AND cleared_at IS NULL;
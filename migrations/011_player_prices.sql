@@ -0,0 +1,40 @@
+-- Data-driven player pricing
+-- A pricing run proposes a cost for every active player; once approved its costs become that round's prices.
+-- Prices are kept per round so rosters are always valued at the prices of the round they were built for.
+
+CREATE TABLE pricing_runs (
+  id SERIAL PRIMARY KEY,
+  round INT NOT NULL CHECK (round >= 1 AND round <= 3),
+  status VARCHAR(10) NOT NULL DEFAULT 'preview' CHECK (status IN ('preview', 'approved', 'discarded')),
+  config JSONB NOT NULL,
+  proposals JSONB NOT NULL DEFAULT '[]',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_pricing_runs_round ON pricing_runs(round, created_at DESC);
+
+CREATE TABLE player_prices (
+  id SERIAL PRIMARY KEY,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  round INT NOT NULL CHECK (round >= 1 AND round <= 3),
+  cost INT NOT NULL CHECK (cost >= 1 AND cost <= 5),
+  pricing_run_id INT REFERENCES pricing_runs(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(player_id, round)
+);
+
+CREATE TRIGGER update_player_prices_updated_at BEFORE UPDATE ON player_prices
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- A player's cost in a round: the latest price set for that round or an earlier one,
+-- falling back to players.cost for players who have never been priced
+CREATE FUNCTION player_cost(p_player_id UUID, p_round INT) RETURNS INT AS $$
+  SELECT COALESCE(
+    (SELECT cost FROM player_prices WHERE player_id = p_player_id AND round <= p_round ORDER BY round DESC LIMIT 1),
+    (SELECT cost FROM players WHERE id = p_player_id)
+  )
+$$ LANGUAGE SQL STABLE;
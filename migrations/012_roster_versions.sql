@@ -0,0 +1,57 @@
+-- Roster version history
+-- Every submit stores a snapshot of the picks, stars and tiebreaker answers. Users can reopen and
+-- resubmit until the pick deadline; the roster is scored with its latest submitted version.
+
+CREATE TABLE roster_versions (
+  id SERIAL PRIMARY KEY,
+  roster_id UUID NOT NULL REFERENCES rosters(id) ON DELETE CASCADE,
+  version INT NOT NULL,
+  question1_answer INT,
+  question2_answer INT,
+  submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(roster_id, version)
+);
+
+CREATE TABLE roster_version_players (
+  id SERIAL PRIMARY KEY,
+  version_id INT NOT NULL REFERENCES roster_versions(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  is_star BOOLEAN DEFAULT FALSE,
+  UNIQUE(version_id, player_id)
+);
+
+CREATE INDEX idx_roster_version_players_version ON roster_version_players(version_id);
+
+-- Latest submitted version. is_submitted is false while a submitted roster is reopened for edits.
+ALTER TABLE rosters ADD COLUMN submitted_version_id INT REFERENCES roster_versions(id) ON DELETE SET NULL;
+
+-- Rosters submitted before versioning become version 1
+WITH versions AS (
+  INSERT INTO roster_versions (roster_id, version, question1_answer, question2_answer, submitted_at)
+  SELECT r.id, 1, t.question1_answer, t.question2_answer, COALESCE(r.submitted_at, r.updated_at)
+  FROM rosters r
+  LEFT JOIN tiebreakers t ON t.user_id = r.user_id AND t.round = r.round
+  WHERE r.is_submitted = true
+  RETURNING id, roster_id
+)
+INSERT INTO roster_version_players (version_id, player_id, is_star)
+SELECT v.id, rp.player_id, rp.is_star
+FROM versions v
+JOIN roster_players rp ON rp.roster_id = v.roster_id;
+
+UPDATE rosters r
+SET submitted_version_id = v.id
+FROM roster_versions v
+WHERE v.roster_id = r.id AND v.version = 1;
+
+-- Players each roster is scored and shown with: its latest submitted version,
+-- or its working picks if it has never been submitted
+CREATE VIEW scored_roster_players AS
+SELECT r.id AS roster_id, vp.player_id, vp.is_star
+FROM rosters r
+JOIN roster_version_players vp ON vp.version_id = r.submitted_version_id
+UNION ALL
+SELECT rp.roster_id, rp.player_id, rp.is_star
+FROM roster_players rp
+JOIN rosters r ON r.id = rp.roster_id
+WHERE r.submitted_version_id IS NULL;
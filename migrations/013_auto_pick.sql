@@ -0,0 +1,20 @@
+-- Auto-pick: generated rosters for members who had nothing submitted when a round locked
+-- Admins opt in through the auto_pick setting; each fill is recorded so a round is only filled once automatically.
+
+CREATE TABLE auto_pick_runs (
+  id SERIAL PRIMARY KEY,
+  round INT NOT NULL CHECK (round >= 1 AND round <= 3),
+  strategy VARCHAR(20) NOT NULL,
+  filled INT NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]',
+  triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_auto_pick_runs_round ON auto_pick_runs(round, created_at DESC);
+
+-- Flags rosters whose scoring version was generated rather than picked by the user
+ALTER TABLE rosters ADD COLUMN auto_picked BOOLEAN NOT NULL DEFAULT false;
+
+INSERT INTO settings (key, value) VALUES ('auto_pick', '{"enabled": false, "strategy": "balanced"}')
+ON CONFLICT (key) DO NOTHING;
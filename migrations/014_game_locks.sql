@@ -0,0 +1,15 @@
+-- Per-game player locks
+-- In 'game' lock mode each player locks when their team's first game of the round starts
+-- (or at the round's pick deadline when no game is recorded) instead of everyone locking at the deadline.
+
+CREATE TABLE team_round_starts (
+  team_abbrev VARCHAR(3) NOT NULL REFERENCES teams(abbrev) ON DELETE CASCADE,
+  round INT NOT NULL CHECK (round >= 1 AND round <= 3),
+  nhl_game_id BIGINT NOT NULL,
+  starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (team_abbrev, round)
+);
+
+INSERT INTO settings (key, value) VALUES ('lock_mode', '"round"')
+ON CONFLICT (key) DO NOTHING;
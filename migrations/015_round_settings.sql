@@ -0,0 +1,23 @@
+-- Per-round roster rules
+-- The salary cap, players per position, number of stars and whether slots are counted per conference
+-- live on each round instead of being hard-coded, so a smaller Cup Final roster is a config change.
+
+-- rounds is created by the app's /api/migrate setup; make sure it exists when migrations run first
+CREATE TABLE IF NOT EXISTS rounds (
+  id SERIAL PRIMARY KEY,
+  round_number INT UNIQUE NOT NULL CHECK (round_number >= 0 AND round_number <= 3),
+  name VARCHAR(100) NOT NULL,
+  pick_deadline TIMESTAMP WITH TIME ZONE,
+  start_date TIMESTAMP WITH TIME ZONE,
+  end_date TIMESTAMP WITH TIME ZONE,
+  is_active BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS salary_cap INT NOT NULL DEFAULT 30 CHECK (salary_cap > 0);
+-- Players per position: in each conference when split_conferences, otherwise across the whole roster
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS roster_slots JSONB NOT NULL DEFAULT '{"forward": 3, "defense": 2, "goalie": 1}';
+-- Stars a complete roster needs, at most one per position
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS star_count INT NOT NULL DEFAULT 3 CHECK (star_count >= 0 AND star_count <= 3);
+ALTER TABLE rounds ADD COLUMN IF NOT EXISTS split_conferences BOOLEAN NOT NULL DEFAULT TRUE;
@@ -0,0 +1,43 @@
+-- Room for the Stanley Cup Final as its own scoring round
+-- The number of scoring rounds now comes from the rounds table (round_number >= 1; 0 is the testing round)
+-- instead of a fixed 1-3. Games count toward the scoring round of their NHL series; pools with fewer
+-- scoring rounds count the later NHL rounds toward their last one, so round 3 keeps the Cup Final until
+-- an admin adds round 4 (POST /api/admin/rounds). The NHL has four playoff rounds, so rounds stop at 4.
+-- This only widens the round checks; no round is added.
+
+-- team_qualifications is created by the app's /api/migrate setup; make sure it exists when migrations run first
+CREATE TABLE IF NOT EXISTS team_qualifications (
+  id SERIAL PRIMARY KEY,
+  round_number INT NOT NULL CHECK (round_number >= 0 AND round_number <= 4),
+  team_abbrev VARCHAR(3) NOT NULL REFERENCES teams(abbrev),
+  qualified BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(round_number, team_abbrev)
+);
+CREATE INDEX IF NOT EXISTS idx_team_qualifications_round ON team_qualifications(round_number);
+CREATE INDEX IF NOT EXISTS idx_team_qualifications_team ON team_qualifications(team_abbrev);
+
+ALTER TABLE rounds DROP CONSTRAINT IF EXISTS rounds_round_number_check;
+ALTER TABLE rounds ADD CONSTRAINT rounds_round_number_check CHECK (round_number >= 0 AND round_number <= 4);
+ALTER TABLE team_qualifications DROP CONSTRAINT IF EXISTS team_qualifications_round_number_check;
+ALTER TABLE team_qualifications ADD CONSTRAINT team_qualifications_round_number_check CHECK (round_number >= 0 AND round_number <= 4);
+
+ALTER TABLE player_stats DROP CONSTRAINT IF EXISTS player_stats_round_check;
+ALTER TABLE player_stats ADD CONSTRAINT player_stats_round_check CHECK (round >= 1 AND round <= 4);
+ALTER TABLE rosters DROP CONSTRAINT IF EXISTS rosters_round_check;
+ALTER TABLE rosters ADD CONSTRAINT rosters_round_check CHECK (round >= 1 AND round <= 4);
+ALTER TABLE tiebreakers DROP CONSTRAINT IF EXISTS tiebreakers_round_check;
+ALTER TABLE tiebreakers ADD CONSTRAINT tiebreakers_round_check CHECK (round >= 1 AND round <= 4);
+ALTER TABLE tiebreaker_questions DROP CONSTRAINT IF EXISTS tiebreaker_questions_round_check;
+ALTER TABLE tiebreaker_questions ADD CONSTRAINT tiebreaker_questions_round_check CHECK (round >= 1 AND round <= 4);
+ALTER TABLE stat_overrides DROP CONSTRAINT IF EXISTS stat_overrides_round_check;
+ALTER TABLE stat_overrides ADD CONSTRAINT stat_overrides_round_check CHECK (round >= 1 AND round <= 4);
+ALTER TABLE pricing_runs DROP CONSTRAINT IF EXISTS pricing_runs_round_check;
+ALTER TABLE pricing_runs ADD CONSTRAINT pricing_runs_round_check CHECK (round >= 1 AND round <= 4);
+ALTER TABLE player_prices DROP CONSTRAINT IF EXISTS player_prices_round_check;
+ALTER TABLE player_prices ADD CONSTRAINT player_prices_round_check CHECK (round >= 1 AND round <= 4);
+ALTER TABLE auto_pick_runs DROP CONSTRAINT IF EXISTS auto_pick_runs_round_check;
+ALTER TABLE auto_pick_runs ADD CONSTRAINT auto_pick_runs_round_check CHECK (round >= 1 AND round <= 4);
+ALTER TABLE team_round_starts DROP CONSTRAINT IF EXISTS team_round_starts_round_check;
+ALTER TABLE team_round_starts ADD CONSTRAINT team_round_starts_round_check CHECK (round >= 1 AND round <= 4);
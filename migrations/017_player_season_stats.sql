@@ -0,0 +1,14 @@
+-- Regular-season totals per player, the baseline of scoring-rate projections
+-- Fetched once per player and season by the stats job, since they do not change during the playoffs.
+
+CREATE TABLE player_season_stats (
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  season VARCHAR(8) NOT NULL,
+  games_played INT NOT NULL DEFAULT 0,
+  goals INT NOT NULL DEFAULT 0,
+  assists INT NOT NULL DEFAULT 0,
+  wins INT NOT NULL DEFAULT 0,
+  shutouts INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (player_id, season)
+);
@@ -0,0 +1,11 @@
+-- At most one running stats update
+-- The NOT EXISTS check when a run starts can race between processes; this index makes the second insert fail.
+
+-- Keep only the newest of any runs already left running side by side
+UPDATE stat_update_log
+SET status = 'failed', completed_at = NOW(),
+    errors = array_append(COALESCE(errors, '{}'), 'Abandoned: another update was running')
+WHERE status = 'running'
+  AND id <> (SELECT id FROM stat_update_log WHERE status = 'running' ORDER BY started_at DESC LIMIT 1);
+
+CREATE UNIQUE INDEX idx_stat_update_log_one_running ON stat_update_log ((true)) WHERE status = 'running';
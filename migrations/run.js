@@ -1,6 +1,8 @@
 /**
  * Migration runner
  * Run with: npm run migrate
+ *
+ * Applied files are recorded in schema_migrations so each one only runs once.
  */
 
 require('dotenv').config();
@@ -8,6 +10,29 @@ const fs = require('fs');
 const path = require('path');
 const pool = require('../config/database');
 
+async function getAppliedMigrations() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      filename VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  const result = await pool.query('SELECT filename FROM schema_migrations');
+  const applied = new Set(result.rows.map(r => r.filename));
+
+  // Databases created before migrations were tracked already have the initial schema
+  if (applied.size === 0) {
+    const usersTable = await pool.query(`SELECT to_regclass('public.users') AS name`);
+    if (usersTable.rows[0].name) {
+      await pool.query(`INSERT INTO schema_migrations (filename) VALUES ('001_initial_schema.sql')`);
+      applied.add('001_initial_schema.sql');
+    }
+  }
+
+  return applied;
+}
+
 async function runMigrations() {
   console.log('🔄 Running database migrations...\n');
 
@@ -17,16 +42,24 @@ async function runMigrations() {
       .filter(f => f.endsWith('.sql'))
       .sort();
 
+    const applied = await getAppliedMigrations();
+
     for (const file of files) {
+      if (applied.has(file)) {
+        console.log(`Skipping: ${file} (already applied)`);
+        continue;
+      }
+
       console.log(`Running: ${file}`);
       const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
-      
+
       await pool.query(sql);
+      await pool.query('INSERT INTO schema_migrations (filename) VALUES ($1)', [file]);
       console.log(`✓ ${file} completed\n`);
     }
 
     console.log('✅ All migrations completed successfully!');
-    
+
   } catch (error) {
     console.error('❌ Migration failed:', error.message);
     process.exit(1);
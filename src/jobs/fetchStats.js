@@ -1,33 +1,131 @@
 /**
  * Scheduled job to fetch NHL stats
  * Can be run standalone or as part of the server
+ * Pass --full to refetch every player instead of only teams with newly finished games
  */
 
 require('dotenv').config();
 const cron = require('node-cron');
 const nhlApi = require('../services/nhlApi');
+const standingsService = require('../services/standings');
+const autoPick = require('../services/autoPick');
+
+// Stats update started by this process, if any ({ claim } resolving to its job ID)
+let activeJob = null;
+
+// Full stats run for an already-opened stat_update_log row
+async function executeStatsUpdate(jobId, { full = false } = {}) {
+  console.log(`[${new Date().toISOString()}] Starting ${full ? 'full' : 'incremental'} stats update (job ${jobId})...`);
+  let result = { success: false, playersUpdated: 0, errors: [] };
 
-// Run stats update
-async function runStatsUpdate() {
-  console.log(`[${new Date().toISOString()}] Starting scheduled stats update...`);
-  
   try {
+    // Import playoff series and eliminated teams first, so new games map to their series' round
+    await nhlApi.updateBracket();
+    // Stored games whose round changed since (a new round, or a series now in the bracket) move to it
+    await nhlApi.remapGameRounds();
+
     // Update player stats
-    const result = await nhlApi.updateAllPlayerStats();
-    
-    // Update eliminated teams
-    await nhlApi.updateEliminatedTeams();
-    
-    console.log(`[${new Date().toISOString()}] Stats update completed:`, result);
+    result = await nhlApi.updateAllPlayerStats(jobId, { full });
+
+    // First game of each team's round, for per-game locks
+    await nhlApi.updateRoundStarts();
+
+    // Regular-season baselines for projections, once per player
+    await nhlApi.updateSeasonStats();
+
+    // Record standings for rank history (nothing to record if no stats changed)
+    if (result.success && result.playersUpdated > 0) {
+      await standingsService.takeSnapshot('update');
+    }
+  } catch (error) {
+    result = { ...result, success: false, errors: [...result.errors, `Fatal error: ${error.message}`] };
+  }
+
+  try {
+    await nhlApi.completeUpdateLog(jobId, result.playersUpdated, result.errors, result.success ? 'completed' : 'failed');
+  } catch (error) {
+    console.error(`Failed to close stats job ${jobId}:`, error);
+  }
+
+  console.log(`[${new Date().toISOString()}] Stats update ${result.success ? 'completed' : 'failed'}:`, result);
+  return result;
+}
+
+/**
+ * Start a stats update in the background and return its job ID straight away.
+ * Only one update runs at a time, whether it was started by this process or
+ * another one sharing the database; in that case started is false and jobId
+ * is the run already in progress. done resolves when a started run finishes.
+ */
+async function startStatsUpdate({ trigger = 'scheduled', triggeredBy = null, full = false } = {}) {
+  if (activeJob) {
+    return { jobId: await activeJob.claim, started: false };
+  }
+
+  // Set synchronously so a second caller waits on this claim instead of opening its own
+  const claim = nhlApi.startUpdateLog({ trigger, triggeredBy, full });
+  activeJob = { claim };
+  let jobId;
+  try {
+    jobId = await claim;
+  } catch (error) {
+    activeJob = null;
+    throw error;
+  }
+
+  if (!jobId) {
+    activeJob = null;
+    return { jobId: await nhlApi.getRunningUpdateLogId(), started: false };
+  }
+
+  const done = executeStatsUpdate(jobId, { full }).finally(() => {
+    activeJob = null;
+  });
+
+  return { jobId, started: true, done };
+}
+
+// Run stats update and wait for it to finish
+async function runStatsUpdate(options = {}) {
+  try {
+    const job = await startStatsUpdate(options);
+    if (!job.started) {
+      console.log(`[${new Date().toISOString()}] Stats update skipped: job ${job.jobId} is already running`);
+      return null;
+    }
+    return await job.done;
   } catch (error) {
     console.error(`[${new Date().toISOString()}] Stats update failed:`, error);
+    return null;
+  }
+}
+
+// Daily standings snapshot, the baseline for rank movement arrows
+async function runDailySnapshot() {
+  try {
+    await standingsService.takeSnapshot('daily');
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Daily standings snapshot failed:`, error);
+  }
+}
+
+// Auto-fill rosters for rounds that just locked, when admins have opted in
+async function runAutoPick() {
+  try {
+    for (const result of await autoPick.fillLockedRounds()) {
+      console.log(`[${new Date().toISOString()}] Auto-picked round ${result.round} rosters for ${result.filled} members`, result.errors);
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Auto-pick failed:`, error);
   }
 }
 
 // Schedule options:
 // During playoffs, run every 15 minutes during game hours (6 PM - 1 AM ET)
 // Run at 2 AM ET for final overnight update
-// Run at 12 PM ET for verified daytime update
+// Run at 12 PM ET for verified daytime update (full refresh)
+// Take a daily standings snapshot at 12:30 PM ET
+// Check every 5 minutes for rounds that locked and need auto-picked rosters
 
 function setupScheduledJobs() {
   // Every 15 minutes during game hours (10 PM - 5 AM UTC = 6 PM - 1 AM ET)
@@ -46,10 +144,25 @@ function setupScheduledJobs() {
     timezone: 'UTC'
   });
 
-  // 12 PM ET (4 PM UTC) - verified daytime update
+  // 12 PM ET (4 PM UTC) - verified daytime update, refetching every player to pick up stat corrections
   cron.schedule('0 16 * 4-6 *', () => {
     console.log('Running verified daytime stats update...');
-    runStatsUpdate();
+    runStatsUpdate({ full: true });
+  }, {
+    timezone: 'UTC'
+  });
+
+  // 12:30 PM ET (4:30 PM UTC) - daily standings snapshot, after the verified update and before games
+  cron.schedule('30 16 * 4-6 *', () => {
+    console.log('Taking daily standings snapshot...');
+    runDailySnapshot();
+  }, {
+    timezone: 'UTC'
+  });
+
+  // Every 5 minutes - auto-fill rosters for rounds whose deadline has passed
+  cron.schedule('*/5 * * 4-6 *', () => {
+    runAutoPick();
   }, {
     timezone: 'UTC'
   });
@@ -59,7 +172,7 @@ function setupScheduledJobs() {
 
 // If run directly, execute update immediately
 if (require.main === module) {
-  runStatsUpdate().then(() => {
+  runStatsUpdate({ trigger: 'cli', full: process.argv.includes('--full') }).then(() => {
     console.log('Manual stats update completed');
     process.exit(0);
   }).catch(error => {
@@ -68,4 +181,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { setupScheduledJobs, runStatsUpdate };
+module.exports = { setupScheduledJobs, runStatsUpdate, startStatsUpdate, runDailySnapshot, runAutoPick };
@@ -0,0 +1,104 @@
+/**
+ * Control the fixture-replay stats provider
+ *
+ *   npm run replay -- status
+ *   npm run replay -- advance [days] [--fetch]
+ *   npm run replay -- reset [YYYY-MM-DD]
+ *   npm run replay -- record
+ *
+ * advance/reset move the replay date; pass --fetch to run a stats update
+ * against the new date straight away (requires STATS_PROVIDER=fixtures).
+ * record saves the live NHL payloads for every active player and every
+ * team roster into the fixture directory so they can be replayed later.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const pool = require('../../config/database');
+const { NHLStatsProvider, FixtureStatsProvider } = require('../services/statsProviders');
+
+const season = process.env.NHL_SEASON || '20252026';
+const gameType = process.env.NHL_PLAYOFF_GAME_TYPE || '3';
+const fixtures = new FixtureStatsProvider({
+  dir: process.env.STATS_FIXTURES_DIR || path.join(__dirname, '../../fixtures/stats')
+});
+
+async function runFetch() {
+  if (process.env.STATS_PROVIDER !== 'fixtures') {
+    throw new Error('--fetch requires STATS_PROVIDER=fixtures');
+  }
+  const { runStatsUpdate } = require('./fetchStats');
+  await runStatsUpdate({ trigger: 'cli' });
+}
+
+async function record() {
+  const live = new NHLStatsProvider({ season, gameType });
+  const today = new Date().toISOString().slice(0, 10);
+
+  const players = await pool.query('SELECT nhl_id FROM players WHERE is_active = true');
+  console.log(`Recording game logs and player pages for ${players.rows.length} players into ${fixtures.dir}...`);
+
+  for (const player of players.rows) {
+    try {
+      fixtures.writeJson(path.join('game-log', `${player.nhl_id}.json`), await live.getPlayerGameLog(player.nhl_id));
+      fixtures.writeJson(path.join('player', `${player.nhl_id}.json`), await live.getPlayerInfo(player.nhl_id));
+    } catch (error) {
+      console.error(`Error recording player ${player.nhl_id}:`, error.message);
+    }
+  }
+
+  const teams = await pool.query('SELECT abbrev FROM teams');
+  for (const team of teams.rows) {
+    try {
+      const roster = await live.getTeamRoster(team.abbrev);
+      if (roster) fixtures.writeJson(path.join('roster', `${team.abbrev}.json`), roster);
+    } catch (error) {
+      console.error(`Error recording roster for ${team.abbrev}:`, error.message);
+    }
+  }
+
+  fixtures.writeJson(path.join('schedule', `${today}.json`), await live.getSchedule());
+  fixtures.writeJson(path.join('playoff-bracket', `${today}.json`), await live.getPlayoffBracket());
+  console.log(`✓ Recorded fixtures as of ${today}`);
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const fetch = args.includes('--fetch');
+  const value = args.find(a => a !== '--fetch');
+
+  switch (command) {
+    case 'status':
+      console.log(`Fixture directory: ${fixtures.dir}`);
+      console.log(`Replay date: ${fixtures.getReplayDate() || '(none, replaying everything)'}`);
+      break;
+    case 'advance': {
+      const days = value ? parseInt(value) : 1;
+      if (!days || days < 1) {
+        throw new Error('Days must be a positive number');
+      }
+      console.log(`Replay date: ${fixtures.advance(days)}`);
+      if (fetch) await runFetch();
+      break;
+    }
+    case 'reset':
+      if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new Error('Date must be YYYY-MM-DD');
+      }
+      console.log(`Replay date: ${fixtures.reset(value) || '(none, replaying everything)'}`);
+      if (fetch) await runFetch();
+      break;
+    case 'record':
+      await record();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}" (expected status, advance, reset or record)`);
+  }
+}
+
+main().then(() => {
+  process.exit(0);
+}).catch(error => {
+  console.error('Replay command failed:', error.message);
+  process.exit(1);
+});
@@ -2,6 +2,14 @@
 const express = require('express');
 const pool = require('../../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const scoring = require('../services/scoring');
+const nhlApi = require('../services/nhlApi');
+const statChanges = require('../services/statChanges');
+const overrides = require('../services/overrides');
+const pricing = require('../services/pricing');
+const autoPick = require('../services/autoPick');
+const rosterService = require('../services/rosters');
+const rounds = require('../services/rounds');
 
 const router = express.Router();
 
@@ -20,6 +28,7 @@ router.get('/rounds', authenticateToken, verifyAdmin, async (req, res) => {
       SELECT 
         id, round_number, name, pick_deadline, 
         start_date, end_date, is_active,
+        salary_cap, roster_slots, star_count, split_conferences,
         created_at, updated_at
       FROM rounds
       ORDER BY round_number
@@ -36,6 +45,7 @@ router.get('/rounds', authenticateToken, verifyAdmin, async (req, res) => {
 
       return {
         ...round,
+        settings: rosterService.formatRoundSettings(round),
         qualifiedTeams: teamsResult.rows
       };
     }));
@@ -47,14 +57,75 @@ router.get('/rounds', authenticateToken, verifyAdmin, async (req, res) => {
   }
 });
 
+// POST /api/admin/rounds - Add the next scoring round, splitting its NHL round out of the last one (e.g. the Cup Final)
+router.post('/rounds', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const roundNumbers = await rounds.getRoundNumbers();
+    const roundNumber = (roundNumbers[roundNumbers.length - 1] || 0) + 1;
+    const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim() : `Round ${roundNumber}`;
+
+    if (roundNumber > rounds.playoffRounds) {
+      return res.status(400).json({ error: `The NHL playoffs have ${rounds.playoffRounds} rounds` });
+    }
+    // Games already played in the NHL round would move out of a locked round's scores
+    const lastRound = roundNumbers[roundNumbers.length - 1];
+    if (lastRound && (await rosterService.getLockState(pool, lastRound)).deadlinePassed) {
+      return res.status(400).json({ error: 'Rounds cannot be added once the last round\'s pick deadline has passed' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO rounds (round_number, name) VALUES ($1, $2)
+      RETURNING id, round_number, name, pick_deadline
+    `, [roundNumber, name]);
+    const gamesMoved = await nhlApi.remapGameRounds();
+
+    res.status(201).json({
+      message: `${name} added as round ${roundNumber}`,
+      round: result.rows[0],
+      gamesMoved
+    });
+  } catch (error) {
+    console.error('Error adding round:', error);
+    res.status(500).json({ error: 'Failed to add round' });
+  }
+});
+
+// DELETE /api/admin/rounds/:roundNumber - Remove the last scoring round, folding its NHL round back into the previous one
+router.delete('/rounds/:roundNumber', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const roundNumber = parseInt(req.params.roundNumber);
+    const roundNumbers = await rounds.getRoundNumbers();
+
+    if (roundNumbers.length < 2 || roundNumber !== roundNumbers[roundNumbers.length - 1]) {
+      return res.status(400).json({ error: 'Only the last round can be removed, and one round must remain' });
+    }
+
+    const rostersResult = await pool.query('SELECT 1 FROM rosters WHERE round = $1 LIMIT 1', [roundNumber]);
+    if (rostersResult.rows.length > 0) {
+      return res.status(400).json({ error: `Round ${roundNumber} already has rosters` });
+    }
+
+    await pool.query('DELETE FROM rounds WHERE round_number = $1', [roundNumber]);
+    const gamesMoved = await nhlApi.remapGameRounds();
+
+    res.json({
+      message: `Round ${roundNumber} removed`,
+      gamesMoved
+    });
+  } catch (error) {
+    console.error('Error removing round:', error);
+    res.status(500).json({ error: 'Failed to remove round' });
+  }
+});
+
 // PUT /api/admin/rounds/:roundNumber/deadline - Update pick deadline
 router.put('/rounds/:roundNumber/deadline', authenticateToken, verifyAdmin, async (req, res) => {
   try {
     const roundNumber = parseInt(req.params.roundNumber);
     const { pick_deadline } = req.body;
 
-    if (roundNumber < 0 || roundNumber > 3) {
-      return res.status(400).json({ error: 'Invalid round number (must be 0-3)' });
+    if (!await rounds.isRound(roundNumber)) {
+      return res.status(400).json({ error: 'Invalid round number' });
     }
 
     if (!pick_deadline) {
@@ -82,14 +153,50 @@ router.put('/rounds/:roundNumber/deadline', authenticateToken, verifyAdmin, asyn
   }
 });
 
+// PUT /api/admin/rounds/:roundNumber/settings - Update a round's salary cap, roster slots, star count and conference split
+router.put('/rounds/:roundNumber/settings', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const roundNumber = parseInt(req.params.roundNumber);
+    const { salaryCap, slots, starCount, splitConferences } = req.body;
+
+    if (!await rounds.isRound(roundNumber)) {
+      return res.status(400).json({ error: 'Invalid round number' });
+    }
+
+    const validationError = rosterService.validateRoundSettings({ salaryCap, slots, starCount, splitConferences });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Changing the rules after the deadline would invalidate rosters that were already scored
+    if ((await rosterService.getLockState(pool, roundNumber)).deadlinePassed) {
+      return res.status(400).json({ error: 'Roster settings cannot change once the round is locked' });
+    }
+
+    const settings = await rosterService.saveRoundSettings(roundNumber, { salaryCap, slots, starCount, splitConferences });
+    if (!settings) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+
+    res.json({
+      message: 'Round settings updated successfully',
+      round: roundNumber,
+      settings
+    });
+  } catch (error) {
+    console.error('Error updating round settings:', error);
+    res.status(500).json({ error: 'Failed to update round settings' });
+  }
+});
+
 // PUT /api/admin/rounds/:roundNumber/end-date - Update scoring end date
 router.put('/rounds/:roundNumber/end-date', authenticateToken, verifyAdmin, async (req, res) => {
   try {
     const roundNumber = parseInt(req.params.roundNumber);
     const { end_date } = req.body;
 
-    if (roundNumber < 0 || roundNumber > 3) {
-      return res.status(400).json({ error: 'Invalid round number (must be 0-3)' });
+    if (!await rounds.isRound(roundNumber)) {
+      return res.status(400).json({ error: 'Invalid round number' });
     }
 
     if (!end_date) {
@@ -141,8 +248,8 @@ router.post('/rounds/:roundNumber/qualified-teams', authenticateToken, verifyAdm
     const roundNumber = parseInt(req.params.roundNumber);
     const { teams } = req.body; // Array of team abbreviations
 
-    if (roundNumber < 0 || roundNumber > 3) {
-      return res.status(400).json({ error: 'Invalid round number (must be 0-3)' });
+    if (!await rounds.isRound(roundNumber)) {
+      return res.status(400).json({ error: 'Invalid round number' });
     }
 
     if (!Array.isArray(teams)) {
@@ -194,6 +301,453 @@ router.post('/rounds/:roundNumber/qualified-teams', authenticateToken, verifyAdm
   }
 });
 
+// POST /api/admin/players/import - Sync the player pool with NHL rosters of a round's qualified teams
+router.post('/players/import', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const round = parseInt(req.body.round);
+    if (!await rounds.isRound(round)) {
+      return res.status(400).json({ error: 'Invalid round number' });
+    }
+
+    const report = await nhlApi.importRosters(round);
+    if (report.teams.length === 0 && report.errors.length === 0) {
+      return res.status(400).json({ error: `No qualified teams set for round ${round}` });
+    }
+
+    res.json({
+      message: `Imported ${report.teams.length} team rosters: ${report.added.length} added, ${report.updated.length} updated, ${report.deactivated.length} deactivated`,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error importing players:', error);
+    res.status(500).json({ error: 'Failed to import players' });
+  }
+});
+
+// GET /api/admin/pricing - Pricing config and recent pricing runs
+router.get('/pricing', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const [config, runs] = await Promise.all([pricing.getConfig(), pricing.getRuns()]);
+    res.json({ config, runs });
+  } catch (error) {
+    console.error('Error fetching pricing:', error);
+    res.status(500).json({ error: 'Failed to fetch pricing' });
+  }
+});
+
+// PUT /api/admin/pricing/config - Update pricing tiers
+router.put('/pricing/config', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const validationError = pricing.validateConfig(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const config = await pricing.saveConfig(req.body);
+    res.json({ message: 'Pricing config updated', config });
+  } catch (error) {
+    console.error('Error updating pricing config:', error);
+    res.status(500).json({ error: 'Failed to update pricing config' });
+  }
+});
+
+// POST /api/admin/pricing/preview - Compute proposed costs for a round without applying them
+router.post('/pricing/preview', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const round = parseInt(req.body.round);
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+
+    const run = await pricing.preview(round, req.user.id);
+    res.json({ run });
+  } catch (error) {
+    console.error('Error previewing prices:', error);
+    res.status(500).json({ error: 'Failed to preview prices' });
+  }
+});
+
+// GET /api/admin/pricing/runs/:id - One pricing run with its per-player proposals
+router.get('/pricing/runs/:id', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const run = await pricing.getRun(parseInt(req.params.id) || 0);
+    if (!run) {
+      return res.status(404).json({ error: 'Pricing run not found' });
+    }
+    res.json({ run });
+  } catch (error) {
+    console.error('Error fetching pricing run:', error);
+    res.status(500).json({ error: 'Failed to fetch pricing run' });
+  }
+});
+
+// POST /api/admin/pricing/runs/:id/approve - Apply a previewed run as its round's prices
+router.post('/pricing/runs/:id/approve', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const run = await pricing.getRun(parseInt(req.params.id) || 0);
+    if (!run) {
+      return res.status(404).json({ error: 'Pricing run not found' });
+    }
+    if (run.status !== 'preview') {
+      return res.status(400).json({ error: `Pricing run is already ${run.status}` });
+    }
+
+    // Rosters for a locked round were built with its current prices
+    if ((await rosterService.getLockState(pool, run.round)).deadlinePassed) {
+      return res.status(400).json({ error: `Round ${run.round} is locked; its prices can no longer change` });
+    }
+
+    const priced = await pricing.approve(run.id, req.user.id);
+    if (priced === null) {
+      return res.status(400).json({ error: 'Pricing run is no longer a preview' });
+    }
+
+    res.json({ message: `Round ${run.round} prices set for ${priced} players`, priced });
+  } catch (error) {
+    console.error('Error approving prices:', error);
+    res.status(500).json({ error: 'Failed to approve prices' });
+  }
+});
+
+// GET /api/admin/auto-pick - Auto-fill setting and recent runs
+router.get('/auto-pick', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const [settings, runs] = await Promise.all([autoPick.getSettings(), autoPick.getRuns()]);
+    res.json({ settings, runs, strategies: autoPick.strategies });
+  } catch (error) {
+    console.error('Error fetching auto-pick settings:', error);
+    res.status(500).json({ error: 'Failed to fetch auto-pick settings' });
+  }
+});
+
+// PUT /api/admin/auto-pick - Opt in or out of auto-filling rosters when a round locks
+router.put('/auto-pick', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { enabled, strategy } = req.body;
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    if (!autoPick.strategies.includes(strategy)) {
+      return res.status(400).json({ error: `strategy must be one of ${autoPick.strategies.join(', ')}` });
+    }
+
+    const settings = await autoPick.saveSettings({ enabled, strategy });
+    res.json({ message: enabled ? 'Auto-pick enabled' : 'Auto-pick disabled', settings });
+  } catch (error) {
+    console.error('Error updating auto-pick settings:', error);
+    res.status(500).json({ error: 'Failed to update auto-pick settings' });
+  }
+});
+
+// POST /api/admin/auto-pick/:round/run - Fill a locked round now for entrants with nothing submitted
+router.post('/auto-pick/:round/run', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const round = parseInt(req.params.round);
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+    const strategy = req.body.strategy || (await autoPick.getSettings()).strategy;
+    if (!autoPick.strategies.includes(strategy)) {
+      return res.status(400).json({ error: `strategy must be one of ${autoPick.strategies.join(', ')}` });
+    }
+
+    // Before the deadline members can still submit their own picks
+    if (!(await rosterService.getLockState(pool, round)).deadlinePassed) {
+      return res.status(400).json({ error: `Round ${round} is not locked yet` });
+    }
+
+    const result = await autoPick.fillRound(round, { strategy, userId: req.user.id });
+    res.json({ message: `Auto-picked rosters for ${result.filled} members`, ...result });
+  } catch (error) {
+    console.error('Error running auto-pick:', error);
+    res.status(500).json({ error: 'Failed to run auto-pick' });
+  }
+});
+
+// GET /api/admin/scoring-rules - Get the season's default scoring rules
+router.get('/scoring-rules', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const rules = await scoring.getRules();
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Error fetching scoring rules:', error);
+    res.status(500).json({ error: 'Failed to fetch scoring rules' });
+  }
+});
+
+// PUT /api/admin/scoring-rules - Update the season's default scoring rules
+router.put('/scoring-rules', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const validationError = scoring.validateRules(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const rules = await scoring.saveRules(null, req.body);
+
+    res.json({
+      message: 'Scoring rules updated successfully',
+      rules
+    });
+  } catch (error) {
+    console.error('Error updating scoring rules:', error);
+    res.status(500).json({ error: 'Failed to update scoring rules' });
+  }
+});
+
+// PUT /api/admin/tiebreakers/:round - Set tiebreaker questions and/or real answers for a round
+router.put('/tiebreakers/:round', authenticateToken, verifyAdmin, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const round = parseInt(req.params.round);
+    const { questions } = req.body; // [{ questionNumber, question, answer }]
+
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round number' });
+    }
+
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({ error: 'Questions must be a non-empty array' });
+    }
+
+    for (const q of questions) {
+      if (![1, 2].includes(q.questionNumber)) {
+        return res.status(400).json({ error: 'Question number must be 1 or 2' });
+      }
+      if (!q.question || !String(q.question).trim()) {
+        return res.status(400).json({ error: `Question ${q.questionNumber} text is required` });
+      }
+      if (q.answer !== null && q.answer !== undefined && (!Number.isInteger(q.answer) || q.answer < 0)) {
+        return res.status(400).json({ error: `Answer to question ${q.questionNumber} must be a whole number` });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    for (const q of questions) {
+      const answer = q.answer ?? null;
+      await client.query(`
+        INSERT INTO tiebreaker_questions (round, question_number, question, answer, answered_at)
+        VALUES ($1, $2, $3, $4, CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() END)
+        ON CONFLICT (round, question_number) DO UPDATE SET
+          question = EXCLUDED.question,
+          answer = EXCLUDED.answer,
+          answered_at = CASE
+            WHEN EXCLUDED.answer IS NOT DISTINCT FROM tiebreaker_questions.answer THEN tiebreaker_questions.answered_at
+            ELSE EXCLUDED.answered_at
+          END
+      `, [round, q.questionNumber, String(q.question).trim(), answer]);
+    }
+
+    await client.query('COMMIT');
+
+    const result = await pool.query(`
+      SELECT round, question_number, question, answer, answered_at
+      FROM tiebreaker_questions
+      WHERE round = $1
+      ORDER BY question_number
+    `, [round]);
+
+    res.json({
+      message: `Tiebreakers updated for round ${round}`,
+      questions: result.rows
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating tiebreakers:', error);
+    res.status(500).json({ error: 'Failed to update tiebreakers' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/admin/stats/recompute - Rebuild round totals from stored per-game stats
+router.post('/stats/recompute', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const rowsUpdated = await nhlApi.recomputeRoundTotals();
+    await statChanges.refreshVerified();
+
+    res.json({
+      message: 'Round totals recomputed from game stats',
+      rowsUpdated
+    });
+  } catch (error) {
+    console.error('Error recomputing round totals:', error);
+    res.status(500).json({ error: 'Failed to recompute round totals' });
+  }
+});
+
+// GET /api/admin/stats/jobs - Recent stats update runs
+router.get('/stats/jobs', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const jobs = await nhlApi.getUpdateLogs(limit);
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error fetching stats jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch stats jobs' });
+  }
+});
+
+// GET /api/admin/stats/jobs/:id - Progress of one stats update run
+router.get('/stats/jobs/:id', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await nhlApi.getUpdateLog(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Error fetching stats job:', error);
+    res.status(500).json({ error: 'Failed to fetch stats job' });
+  }
+});
+
+// GET /api/admin/stat-changes - Stat changes awaiting review (?status=approved for reviewed ones)
+router.get('/stat-changes', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'approved'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be pending or approved' });
+    }
+
+    const [changes, approvedOnly] = await Promise.all([
+      statChanges.getChanges({ status }),
+      statChanges.isApprovedOnly()
+    ]);
+
+    res.json({ changes, approvedOnly });
+  } catch (error) {
+    console.error('Error fetching stat changes:', error);
+    res.status(500).json({ error: 'Failed to fetch stat changes' });
+  }
+});
+
+// POST /api/admin/stat-changes/approve - Approve the given change IDs, or all pending changes
+router.post('/stat-changes/approve', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every(Number.isInteger))) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of change IDs' });
+    }
+
+    const approved = await statChanges.approve({ ids: ids || null, userId: req.user.id });
+
+    res.json({ message: `${approved} stat changes approved`, approved });
+  } catch (error) {
+    console.error('Error approving stat changes:', error);
+    res.status(500).json({ error: 'Failed to approve stat changes' });
+  }
+});
+
+// PUT /api/admin/stat-changes/mode - Choose whether standings use approved stats only
+router.put('/stat-changes/mode', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { approvedOnly } = req.body;
+    if (typeof approvedOnly !== 'boolean') {
+      return res.status(400).json({ error: 'approvedOnly must be true or false' });
+    }
+
+    await statChanges.setApprovedOnly(approvedOnly);
+
+    res.json({ message: approvedOnly ? 'Standings now use approved stats only' : 'Standings now use the latest stats', approvedOnly });
+  } catch (error) {
+    console.error('Error updating stat review mode:', error);
+    res.status(500).json({ error: 'Failed to update stat review mode' });
+  }
+});
+
+// GET /api/admin/overrides - Active stat overrides (?all=true to include cleared ones)
+router.get('/overrides', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const list = await overrides.list({ includeCleared: req.query.all === 'true' });
+    res.json({ overrides: list });
+  } catch (error) {
+    console.error('Error fetching stat overrides:', error);
+    res.status(500).json({ error: 'Failed to fetch stat overrides' });
+  }
+});
+
+// POST /api/admin/overrides - Override a player's stat for one game or a whole round
+router.post('/overrides', authenticateToken, verifyAdmin, async (req, res) => {
+  const { playerId, round, nhlGameId, field, value, reason } = req.body;
+  let client;
+  try {
+    const validationError = overrides.validate({ playerId, round, nhlGameId, field, value, reason }, await rounds.getRoundNumbers());
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const override = await overrides.set(client, {
+      playerId, round, nhlGameId: nhlGameId ?? null, field, value, reason, userId: req.user.id
+    });
+    if (!override) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'No stats stored for that player in that game' });
+    }
+
+    // The admin entered the value, so the resulting changes need no further review
+    await nhlApi.recomputeRoundTotals(playerId, client, { source: 'override', reviewedBy: req.user.id });
+
+    await client.query('COMMIT');
+    await statChanges.refreshVerified();
+
+    res.status(201).json({ message: `${field} override saved`, override });
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    if (error.code === '22P02' || error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown player' });
+    }
+    console.error('Error saving stat override:', error);
+    res.status(500).json({ error: 'Failed to save stat override' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// DELETE /api/admin/overrides/:id - Clear an override so fetched stats apply again
+router.delete('/overrides/:id', authenticateToken, verifyAdmin, async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid override ID' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const cleared = await overrides.clear(client, id, req.user.id);
+    if (!cleared) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Active override not found' });
+    }
+
+    await nhlApi.recomputeRoundTotals(cleared.player_id, client, { source: 'override', reviewedBy: req.user.id });
+
+    await client.query('COMMIT');
+    await statChanges.refreshVerified();
+
+    res.json({ message: 'Override cleared' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error clearing stat override:', error);
+    res.status(500).json({ error: 'Failed to clear stat override' });
+  } finally {
+    client.release();
+  }
+});
+
 // GET /api/admin/settings - Get all admin settings
 router.get('/settings', authenticateToken, verifyAdmin, async (req, res) => {
   try {
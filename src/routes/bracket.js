@@ -0,0 +1,17 @@
+const express = require('express');
+const bracketService = require('../services/bracket');
+
+const router = express.Router();
+
+// GET /api/bracket - Playoff series by round, plus each team's current series status
+router.get('/', async (req, res) => {
+  try {
+    const bracket = await bracketService.getBracket();
+    res.json(bracket);
+  } catch (error) {
+    console.error('Get bracket error:', error);
+    res.status(500).json({ error: 'Failed to get bracket' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,11 @@
 const express = require('express');
 const pool = require('../../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const scoring = require('../services/scoring');
+const standingsService = require('../services/standings');
+const rosterService = require('../services/rosters');
+const projections = require('../services/projections');
+const rounds = require('../services/rounds');
 
 const router = express.Router();
 
@@ -74,26 +79,18 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Not a member of this group' });
     }
 
-    // Get members with their scores
-    const membersResult = await pool.query(`
-      SELECT 
-        u.id, u.username,
-        COALESCE(lb.total_points, 0) as total_points,
-        COALESCE(lb.r1_points, 0) as r1_points,
-        COALESCE(lb.r2_points, 0) as r2_points,
-        COALESCE(lb.r3_points, 0) as r3_points
-      FROM group_members gm
-      JOIN users u ON gm.user_id = u.id
-      LEFT JOIN leaderboard lb ON u.id = lb.user_id
-      WHERE gm.group_id = $1
-      ORDER BY total_points DESC
-    `, [id]);
+    // Get members ranked with the group's scoring rules
+    const members = (await standingsService.getLeaderboard({ groupId: id }))
+      .map(({ user_id, ...entry }) => ({ id: user_id, ...entry }));
+
+    const scoringRules = await scoring.getRules(id);
 
-    // Add ranks
-    const members = membersResult.rows.map((m, i) => ({
-      ...m,
-      rank: i + 1
-    }));
+    // Projected finish of the current round, once it locks and rosters are public
+    const roundResult = await pool.query(`SELECT value FROM settings WHERE key = 'current_round'`);
+    const currentRound = parseInt(roundResult.rows[0]?.value);
+    const projected = await rounds.isScoringRound(currentRound) && await rosterService.isRoundLocked(currentRound)
+      ? await projections.getProjections(currentRound, { groupId: id })
+      : null;
 
     // Get recent chat messages
     const chatResult = await pool.query(`
@@ -108,6 +105,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
     res.json({
       group,
       members,
+      scoringRules,
+      projections: projected,
       chat: chatResult.rows.reverse()
     });
 
@@ -274,6 +273,64 @@ router.put('/:id/blast', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/groups/:id/scoring-rules
+ * Set custom scoring rules for the group (owner only)
+ */
+router.put('/:id/scoring-rules', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const ownerCheck = await pool.query(`
+      SELECT 1 FROM groups WHERE id = $1 AND owner_id = $2
+    `, [id, req.user.id]);
+
+    if (ownerCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const validationError = scoring.validateRules(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const rules = await scoring.saveRules(id, req.body);
+
+    res.json({ message: 'Scoring rules updated', rules });
+
+  } catch (error) {
+    console.error('Update group scoring rules error:', error);
+    res.status(500).json({ error: 'Failed to update scoring rules' });
+  }
+});
+
+/**
+ * DELETE /api/groups/:id/scoring-rules
+ * Revert the group to the season's default scoring rules (owner only)
+ */
+router.delete('/:id/scoring-rules', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const ownerCheck = await pool.query(`
+      SELECT 1 FROM groups WHERE id = $1 AND owner_id = $2
+    `, [id, req.user.id]);
+
+    if (ownerCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    await scoring.deleteGroupRules(id);
+    const rules = await scoring.getRules(id);
+
+    res.json({ message: 'Group now uses the default scoring rules', rules });
+
+  } catch (error) {
+    console.error('Reset group scoring rules error:', error);
+    res.status(500).json({ error: 'Failed to reset scoring rules' });
+  }
+});
+
 /**
  * DELETE /api/groups/:id
  * Delete group (owner only)
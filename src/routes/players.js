@@ -1,16 +1,38 @@
 const express = require('express');
 const pool = require('../../config/database');
 const { optionalAuth } = require('../middleware/auth');
+const scoring = require('../services/scoring');
+const overrides = require('../services/overrides');
+const rosterService = require('../services/rosters');
+const rounds = require('../services/rounds');
 
 const router = express.Router();
 
+async function getCurrentRound() {
+  const result = await pool.query(`SELECT value FROM settings WHERE key = 'current_round'`);
+  return parseInt(result.rows[0]?.value) || 1;
+}
+
+// Group ownership is only shown to the group's members
+async function isGroupMember(user, groupId) {
+  if (!user) return false;
+  const result = await pool.query(`
+    SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2
+  `, [groupId, user.id]);
+  return result.rows.length > 0;
+}
+
 /**
  * GET /api/players
  * Get all players with their stats
  */
 router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { round, conference, position } = req.query;
+    const { round, conference, position, ownership, groupId } = req.query;
+
+    if (ownership === 'true' && groupId && !await isGroupMember(req.user, groupId)) {
+      return res.status(403).json({ error: 'Not a member of this group' });
+    }
 
     let query = `
       SELECT 
@@ -19,7 +41,8 @@ router.get('/', optionalAuth, async (req, res) => {
         p.name,
         p.team_abbrev as team,
         p.position,
-        p.cost,
+        p.cost as default_cost,
+        (SELECT json_object_agg(r.round_number, player_cost(p.id, r.round_number)) FROM rounds r WHERE r.round_number >= 1) as costs,
         t.conference,
         t.is_eliminated,
         t.eliminated_round,
@@ -43,6 +66,11 @@ router.get('/', optionalAuth, async (req, res) => {
       WHERE p.is_active = true
     `;
 
+    // cost is the price for the requested round (default: the current round); costs has every round's price.
+    // Without any rounds, cost falls back to the player's default price.
+    const roundNumbers = await rounds.getRoundNumbers();
+    const lastRound = roundNumbers[roundNumbers.length - 1] || 1;
+    const costRound = Math.min(Math.max(parseInt(round) || await getCurrentRound(), 1), lastRound);
     const params = [];
     let paramIndex = 1;
 
@@ -59,13 +87,12 @@ router.get('/', optionalAuth, async (req, res) => {
     }
 
     query += ` GROUP BY p.id, t.conference, t.is_eliminated, t.eliminated_round, t.color`;
-    query += ` ORDER BY p.cost DESC, p.name ASC`;
 
     const result = await pool.query(query, params);
 
     // Transform stats array into object keyed by round
     const players = result.rows.map(player => {
-      const statsObj = { r1: {}, r2: {}, r3: {} };
+      const statsObj = Object.fromEntries(roundNumbers.map(r => [`r${r}`, {}]));
       
       if (Array.isArray(player.stats)) {
         player.stats.forEach(s => {
@@ -86,7 +113,8 @@ router.get('/', optionalAuth, async (req, res) => {
         name: player.name,
         team: player.team,
         position: player.position,
-        cost: player.cost,
+        cost: player.costs?.[costRound] ?? player.default_cost,
+        costs: player.costs || {},
         conference: player.conference,
         isEliminated: player.is_eliminated,
         eliminatedRound: player.eliminated_round,
@@ -95,14 +123,59 @@ router.get('/', optionalAuth, async (req, res) => {
       };
     });
 
+    players.sort((a, b) => b.cost - a.cost || a.name.localeCompare(b.name));
+
+    // ?ownership=true adds pick and star percentages for the round once it is locked
+    if (ownership === 'true' && await rosterService.isRoundLocked(costRound)) {
+      const owned = await rosterService.getOwnership(costRound, { groupId: groupId || null });
+      const byPlayer = new Map(owned.players.map(p => [p.playerId, p]));
+      players.forEach(player => {
+        const row = byPlayer.get(player.id);
+        player.ownership = { owned: row?.owned || 0, starred: row?.starred || 0 };
+      });
+      return res.json({ players, ownership: { round: costRound, groupId: owned.groupId, rosters: owned.rosters } });
+    }
+
     res.json({ players });
 
   } catch (error) {
     console.error('Get players error:', error);
+    if (error.code === '22P02') {
+      return res.status(400).json({ error: 'Invalid group ID' });
+    }
     res.status(500).json({ error: 'Failed to get players' });
   }
 });
 
+/**
+ * GET /api/players/ownership
+ * Percent of submitted rosters that picked and starred each player, once the round is locked.
+ * ?round= defaults to the current round; ?groupId= counts only that group's members and requires membership.
+ */
+router.get('/ownership', optionalAuth, async (req, res) => {
+  try {
+    const round = parseInt(req.query.round) || await getCurrentRound();
+    const groupId = req.query.groupId || null;
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+    if (groupId && !await isGroupMember(req.user, groupId)) {
+      return res.status(403).json({ error: 'Not a member of this group' });
+    }
+    if (!await rosterService.isRoundLocked(round)) {
+      return res.status(403).json({ error: 'Ownership is shown once the round locks' });
+    }
+
+    res.json(await rosterService.getOwnership(round, { groupId }));
+  } catch (error) {
+    console.error('Get ownership error:', error);
+    if (error.code === '22P02') {
+      return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    res.status(500).json({ error: 'Failed to get ownership' });
+  }
+});
+
 /**
  * GET /api/players/:id
  * Get single player with detailed stats
@@ -159,6 +232,63 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/players/:id/games
+ * Get a player's game-by-game playoff stats with fantasy points
+ */
+router.get('/:id/games', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playerResult = await pool.query(`
+      SELECT id, name, position FROM players WHERE id = $1
+    `, [id]);
+
+    if (playerResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const player = playerResult.rows[0];
+    const rules = await scoring.getRules();
+
+    const gamesResult = await pool.query(`
+      SELECT
+        nhl_game_id, round, to_char(game_date, 'YYYY-MM-DD') as game_date, team_abbrev, opponent_abbrev, home_road,
+        goals, assists, shots, pim, plus_minus, toi, decision, shutouts, goals_against, shots_against, overridden
+      FROM ${overrides.gameStatsSource()} g
+      WHERE player_id = $1
+      ORDER BY game_date DESC
+    `, [id]);
+
+    const games = gamesResult.rows.map(g => ({
+      nhlGameId: g.nhl_game_id,
+      round: g.round,
+      date: g.game_date,
+      team: g.team_abbrev,
+      opponent: g.opponent_abbrev,
+      isHome: g.home_road === 'H',
+      goals: g.goals,
+      assists: g.assists,
+      shots: g.shots,
+      pim: g.pim,
+      plusMinus: g.plus_minus,
+      toi: g.toi,
+      decision: g.decision,
+      shutouts: g.shutouts,
+      goalsAgainst: g.goals_against,
+      shotsAgainst: g.shots_against,
+      overridden: g.overridden,
+      fantasyPoints: scoring.gamePoints(g, player.position, false, rules)
+    }));
+
+    res.json({ player, games });
+
+  } catch (error) {
+    console.error('Get player games error:', error);
+    res.status(500).json({ error: 'Failed to get player games' });
+  }
+});
+
 /**
  * GET /api/players/team/:abbrev
  * Get all players for a team
@@ -1,31 +1,35 @@
 const express = require('express');
 const pool = require('../../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const rosterService = require('../services/rosters');
+const autoPick = require('../services/autoPick');
+const rounds = require('../services/rounds');
+const statChanges = require('../services/statChanges');
 
 const router = express.Router();
-const SALARY_CAP = 30;
 
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const rosters = {};
-    for (const round of [1, 2, 3]) {
+    for (const round of await rounds.getRoundNumbers()) {
       const rosterResult = await pool.query(`
-        SELECT r.id, r.round, r.is_submitted, r.submitted_at
+        SELECT r.id, r.round, r.is_submitted, r.submitted_at, r.auto_picked, v.version as submitted_version
         FROM rosters r
+        LEFT JOIN roster_versions v ON v.id = r.submitted_version_id
         WHERE r.user_id = $1 AND r.round = $2
       `, [req.user.id, round]);
       if (rosterResult.rows.length > 0) {
         const roster = rosterResult.rows[0];
         const playersResult = await pool.query(`
           SELECT 
-            p.id, p.name, p.team_abbrev as team, p.position, p.cost,
+            p.id, p.name, p.team_abbrev as team, p.position, player_cost(p.id, $2) as cost,
             t.conference,
             rp.is_star
           FROM roster_players rp
           JOIN players p ON rp.player_id = p.id
           JOIN teams t ON p.team_abbrev = t.abbrev
           WHERE rp.roster_id = $1
-        `, [roster.id]);
+        `, [roster.id, round]);
         const organized = {
           western: { forwards: [], defense: [], goalies: [] },
           eastern: { forwards: [], defense: [], goalies: [] }
@@ -48,7 +52,16 @@ router.get('/', authenticateToken, async (req, res) => {
         rosters[round] = null;
       }
     }
-    res.json({ rosters });
+    const tiebreakerResult = await pool.query(`
+      SELECT round, question1_answer, question2_answer
+      FROM tiebreakers
+      WHERE user_id = $1
+    `, [req.user.id]);
+    const tiebreakers = {};
+    tiebreakerResult.rows.forEach(t => {
+      tiebreakers[t.round] = { q1: t.question1_answer, q2: t.question2_answer };
+    });
+    res.json({ rosters, tiebreakers });
   } catch (error) {
     console.error('Get rosters error:', error);
     res.status(500).json({ error: 'Failed to get rosters' });
@@ -56,175 +69,389 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 router.put('/:round', authenticateToken, async (req, res) => {
+  const round = parseInt(req.params.round);
+  const { selections, stars, tiebreakers } = req.body;
+  let client;
   try {
-    const round = parseInt(req.params.round);
-    const { selections, stars, tiebreakers } = req.body;
-    if (round < 1 || round > 3) {
+    if (!await rounds.isScoringRound(round)) {
       return res.status(400).json({ error: 'Invalid round' });
     }
-    const roundResult = await pool.query('SELECT pick_deadline FROM rounds WHERE round_number = $1', [round]);
-    if (roundResult.rows.length === 0 || !roundResult.rows[0].pick_deadline) {
-      return res.status(400).json({ error: 'Round deadline not set' });
+    if (!selections || typeof selections !== 'object') {
+      return res.status(400).json({ error: 'Selections are required' });
     }
-    if (new Date() > new Date(roundResult.rows[0].pick_deadline)) {
-      return res.status(400).json({ error: 'Round is locked' });
+    if (tiebreakers != null && typeof tiebreakers !== 'object') {
+      return res.status(400).json({ error: 'Tiebreakers must be an object' });
     }
-    let rosterId;
-    const existingRoster = await pool.query('SELECT id, is_submitted FROM rosters WHERE user_id = $1 AND round = $2', [req.user.id, round]);
-    if (existingRoster.rows.length > 0) {
-      if (existingRoster.rows[0].is_submitted) {
-        return res.status(400).json({ error: 'Roster already submitted' });
-      }
-      rosterId = existingRoster.rows[0].id;
-      await pool.query('DELETE FROM roster_players WHERE roster_id = $1', [rosterId]);
-    } else {
-      const newRoster = await pool.query('INSERT INTO rosters (user_id, round) VALUES ($1, $2) RETURNING id', [req.user.id, round]);
-      rosterId = newRoster.rows[0].id;
-    }
-    const allPlayers = [];
-    ['western', 'eastern'].forEach(conf => {
-      if (selections[conf]) {
-        ['forwards', 'defense', 'goalies'].forEach(pos => {
-          if (selections[conf][pos]) {
-            allPlayers.push(...selections[conf][pos]);
-          }
-        });
+    for (const key of ['q1', 'q2']) {
+      const answer = tiebreakers?.[key];
+      if (answer != null && !(Number.isInteger(answer) && answer >= 0)) {
+        return res.status(400).json({ error: `Tiebreaker ${key} must be a non-negative whole number` });
       }
-    });
-    if (allPlayers.length === 0) {
-      return res.json({ message: 'Roster saved (empty)' });
     }
-    const playerData = await pool.query(`
-      SELECT p.id, p.cost, p.position, t.conference
-      FROM players p
-      JOIN teams t ON p.team_abbrev = t.abbrev
-      WHERE p.id = ANY($1::int[])
-    `, [allPlayers]);
-    const totalCost = playerData.rows.reduce((sum, p) => sum + parseFloat(p.cost), 0);
-    if (totalCost > SALARY_CAP) {
-      return res.status(400).json({ error: 'Over salary cap' });
+
+    client = await pool.connect();
+    const lockError = await rosterService.editLockError(client, round);
+    if (lockError) {
+      return res.status(400).json({ error: lockError });
     }
-    for (const player of playerData.rows) {
-      const isStar = stars.forward === player.id || stars.defense === player.id || stars.goalie === player.id;
-      await pool.query('INSERT INTO roster_players (roster_id, player_id, is_star) VALUES ($1, $2, $3)', [rosterId, player.id, isStar]);
+    const tiebreakerError = tiebreakers && await rosterService.tiebreakerLockError(client, round, req.user.id, tiebreakers);
+    if (tiebreakerError) {
+      return res.status(400).json({ error: tiebreakerError });
     }
+
+    await client.query('BEGIN');
+
+    const errors = await rosterService.validate(client, round, { selections, stars });
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: errors[0].message, errors });
+    }
+
+    // Lock the user's roster row so concurrent saves apply one after the other
+    const rosterResult = await client.query(`
+      INSERT INTO rosters (user_id, round) VALUES ($1, $2)
+      ON CONFLICT (user_id, round) DO UPDATE SET updated_at = NOW()
+      RETURNING id, is_submitted
+    `, [req.user.id, round]);
+    const roster = rosterResult.rows[0];
+    if (roster.is_submitted) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Roster is submitted. Reopen it to make changes' });
+    }
+
+    const lockErrors = await rosterService.lockViolations(client, round, roster.id, { selections, stars });
+    if (lockErrors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: lockErrors[0].message, errors: lockErrors });
+    }
+
+    await client.query('DELETE FROM roster_players WHERE roster_id = $1', [roster.id]);
+
+    const playerIds = rosterService.flattenSelections(selections).map(p => p.playerId);
+    const starIds = rosterService.starIds(stars);
+    if (playerIds.length > 0) {
+      await client.query(`
+        INSERT INTO roster_players (roster_id, player_id, is_star)
+        SELECT $1, player_id, player_id = ANY($3::uuid[])
+        FROM unnest($2::uuid[]) AS player_id
+      `, [roster.id, playerIds, starIds]);
+    }
+
     if (tiebreakers) {
-      await pool.query(`
-        INSERT INTO tiebreakers (user_id, round, question_1, question_2)
+      await client.query(`
+        INSERT INTO tiebreakers (user_id, round, question1_answer, question2_answer)
         VALUES ($1, $2, $3, $4)
         ON CONFLICT (user_id, round) DO UPDATE
-        SET question_1 = $3, question_2 = $4
+        SET question1_answer = $3, question2_answer = $4
       `, [req.user.id, round, tiebreakers.q1, tiebreakers.q2]);
     }
-    res.json({ message: 'Roster saved successfully' });
+
+    await client.query('COMMIT');
+    res.json({ message: playerIds.length === 0 ? 'Roster saved (empty)' : 'Roster saved successfully' });
   } catch (error) {
+    if (client) await client.query('ROLLBACK');
     console.error('Save roster error:', error);
-    if (error.code === '23503') {
-      return res.status(400).json({ error: 'Invalid player selection - one or more players not found' });
-    }
-    if (error.code === '23505') {
-      return res.status(400).json({ error: 'Duplicate player detected' });
+    if (error.code === '22P02') {
+      return res.status(400).json({ error: 'Invalid player selection' });
     }
-    res.status(500).json({ error: error.message || 'Failed to save roster. Please try again.' });
+    res.status(500).json({ error: 'Failed to save roster. Please try again.' });
+  } finally {
+    if (client) client.release();
   }
 });
 
 router.post('/:round/submit', authenticateToken, async (req, res) => {
+  const round = parseInt(req.params.round);
+  if (!await rounds.isScoringRound(round)) {
+    return res.status(400).json({ error: 'Invalid round' });
+  }
+
+  const client = await pool.connect();
   try {
-    const round = parseInt(req.params.round);
-    if (round < 1 || round > 3) {
-      return res.status(400).json({ error: 'Invalid round' });
+    const lockError = await rosterService.editLockError(client, round);
+    if (lockError) {
+      return res.status(400).json({ error: lockError });
     }
-    const roundResult = await pool.query('SELECT pick_deadline FROM rounds WHERE round_number = $1', [round]);
-    if (roundResult.rows.length === 0 || !roundResult.rows[0].pick_deadline) {
-      return res.status(400).json({ error: 'Round deadline not set' });
-    }
-    if (new Date() > new Date(roundResult.rows[0].pick_deadline)) {
-      return res.status(400).json({ error: 'Round is locked' });
-    }
-    const rosterResult = await pool.query('SELECT id, is_submitted FROM rosters WHERE user_id = $1 AND round = $2', [req.user.id, round]);
+
+    await client.query('BEGIN');
+
+    const rosterResult = await client.query(
+      'SELECT id, is_submitted FROM rosters WHERE user_id = $1 AND round = $2 FOR UPDATE',
+      [req.user.id, round]
+    );
     if (rosterResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(400).json({ error: 'No roster found' });
     }
     if (rosterResult.rows[0].is_submitted) {
+      await client.query('ROLLBACK');
       return res.status(400).json({ error: 'Already submitted' });
     }
     const rosterId = rosterResult.rows[0].id;
-    const playersResult = await pool.query(`
-      SELECT p.position, t.conference, rp.is_star
-      FROM roster_players rp
-      JOIN players p ON rp.player_id = p.id
-      JOIN teams t ON p.team_abbrev = t.abbrev
-      WHERE rp.roster_id = $1
-    `, [rosterId]);
-    const counts = {
-      western: { forward: 0, defense: 0, goalie: 0 },
-      eastern: { forward: 0, defense: 0, goalie: 0 }
-    };
-    let starCount = 0;
-    playersResult.rows.forEach(p => {
-      counts[p.conference][p.position]++;
-      if (p.is_star) starCount++;
-    });
-    const isComplete =
-      counts.western.forward === 3 && counts.western.defense === 2 && counts.western.goalie === 1 &&
-      counts.eastern.forward === 3 && counts.eastern.defense === 2 && counts.eastern.goalie === 1 &&
-      starCount === 3;
-    if (!isComplete) {
-      return res.status(400).json({ 
-        error: 'Roster incomplete. Need 3F/2D/1G per conference and 3 star players.',
-        counts,
-        starCount
-      });
-    }
-    await pool.query('UPDATE rosters SET is_submitted = true, submitted_at = NOW() WHERE id = $1', [rosterId]);
-    res.json({ message: 'Roster submitted successfully' });
+
+    // Answers changed after the deadline by an earlier save would otherwise be stored with the new version
+    const answersResult = await client.query(`
+      SELECT question1_answer as q1, question2_answer as q2 FROM tiebreakers WHERE user_id = $1 AND round = $2
+    `, [req.user.id, round]);
+    const tiebreakerError = await rosterService.tiebreakerLockError(client, round, req.user.id, answersResult.rows[0] || {});
+    if (tiebreakerError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: tiebreakerError });
+    }
+
+    const roster = await rosterService.getSelections(client, rosterId);
+    const errors = [
+      ...await rosterService.validate(client, round, roster, { complete: true }),
+      ...await rosterService.lockViolations(client, round, rosterId, roster)
+    ];
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: errors[0].message, errors });
+    }
+
+    const version = await rosterService.submitVersion(client, rosterId);
+    await client.query('COMMIT');
+    res.json({ message: version > 1 ? `Roster resubmitted (version ${version})` : 'Roster submitted successfully', version });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Submit roster error:', error);
     res.status(500).json({ error: 'Failed to submit roster' });
+  } finally {
+    client.release();
+  }
+});
+
+// When each team's players lock for a round ({ mode, deadline, teams: { abbrev: lockAt } })
+router.get('/locks/:round', authenticateToken, async (req, res) => {
+  try {
+    const round = parseInt(req.params.round);
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+    res.json(await rosterService.getLocks(pool, round));
+  } catch (error) {
+    console.error('Get locks error:', error);
+    res.status(500).json({ error: 'Failed to get locks' });
+  }
+});
+
+// Generate a complete roster for the round. Nothing is saved; current picks passed as keep stay on it.
+router.post('/:round/quick-pick', authenticateToken, async (req, res) => {
+  try {
+    const round = parseInt(req.params.round);
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+    const { strategy = 'balanced', keep = null } = req.body;
+    if (!autoPick.strategies.includes(strategy)) {
+      return res.status(400).json({ error: `strategy must be one of ${autoPick.strategies.join(', ')}` });
+    }
+
+    const roster = await autoPick.generate(pool, round, { strategy, keep });
+    if (!roster) {
+      return res.status(400).json({ error: 'Not enough eligible players to build a roster under the cap' });
+    }
+    res.json(roster);
+  } catch (error) {
+    console.error('Quick pick error:', error);
+    res.status(500).json({ error: 'Failed to generate roster' });
+  }
+});
+
+// Start a round's draft from the user's roster in the previous round
+router.post('/:round/carry-over', authenticateToken, async (req, res) => {
+  const round = parseInt(req.params.round);
+  if (round < 2 || !await rounds.isScoringRound(round)) {
+    return res.status(400).json({ error: 'Only rounds after the first can start from a previous roster' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const lockError = await rosterService.editLockError(client, round);
+    if (lockError) {
+      return res.status(400).json({ error: lockError });
+    }
+
+    await client.query('BEGIN');
+
+    const previousResult = await client.query(
+      'SELECT id FROM rosters WHERE user_id = $1 AND round = $2',
+      [req.user.id, round - 1]
+    );
+    if (previousResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `No round ${round - 1} roster to start from` });
+    }
+
+    const rosterResult = await client.query(`
+      INSERT INTO rosters (user_id, round) VALUES ($1, $2)
+      ON CONFLICT (user_id, round) DO UPDATE SET updated_at = NOW()
+      RETURNING id, is_submitted
+    `, [req.user.id, round]);
+    const roster = rosterResult.rows[0];
+    if (roster.is_submitted) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Roster is submitted. Reopen it to make changes' });
+    }
+
+    // Existing picks are only replaced when the user confirms
+    const existing = await client.query('SELECT 1 FROM roster_players WHERE roster_id = $1 LIMIT 1', [roster.id]);
+    if (existing.rows.length > 0 && !req.body.replace) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `You already have picks for round ${round}` });
+    }
+
+    const carried = await rosterService.carryOver(client, round, previousResult.rows[0].id);
+    const lockErrors = await rosterService.lockViolations(client, round, roster.id, carried);
+    if (lockErrors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: lockErrors[0].message, errors: lockErrors });
+    }
+
+    await client.query('DELETE FROM roster_players WHERE roster_id = $1', [roster.id]);
+    const playerIds = rosterService.flattenSelections(carried.selections).map(p => p.playerId);
+    const starIds = rosterService.starIds(carried.stars);
+    if (playerIds.length > 0) {
+      await client.query(`
+        INSERT INTO roster_players (roster_id, player_id, is_star)
+        SELECT $1, player_id, player_id = ANY($3::uuid[])
+        FROM unnest($2::uuid[]) AS player_id
+      `, [roster.id, playerIds, starIds]);
+    }
+
+    await client.query('COMMIT');
+    res.json({
+      message: carried.openSlots.length === 0
+        ? `Round ${round - 1} roster carried over`
+        : `Round ${round - 1} roster carried over. Fill the open slots before submitting`,
+      ...carried
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Carry over roster error:', error);
+    res.status(500).json({ error: 'Failed to carry over roster' });
+  } finally {
+    client.release();
+  }
+});
+
+// Reopen a submitted roster for edits. Until it is resubmitted, its last submitted version still counts.
+router.post('/:round/reopen', authenticateToken, async (req, res) => {
+  try {
+    const round = parseInt(req.params.round);
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+    const lockError = await rosterService.editLockError(pool, round, { requireDeadline: false });
+    if (lockError) {
+      return res.status(400).json({ error: lockError });
+    }
+    const result = await pool.query(`
+      UPDATE rosters SET is_submitted = false
+      WHERE user_id = $1 AND round = $2 AND is_submitted = true
+      RETURNING id
+    `, [req.user.id, round]);
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'No submitted roster to reopen' });
+    }
+    res.json({ message: 'Roster reopened. Resubmit before the deadline to apply your changes' });
+  } catch (error) {
+    console.error('Reopen roster error:', error);
+    res.status(500).json({ error: 'Failed to reopen roster' });
+  }
+});
+
+// Head-to-head comparison of two rosters: ?users=<id>,<id>&round=<n>, optionally &groupId= to score with that
+// group's rules. Each roster follows the same visibility rules as viewing it.
+router.get('/compare', authenticateToken, async (req, res) => {
+  try {
+    const userIds = String(req.query.users || '').split(',').map(id => id.trim()).filter(Boolean);
+    const round = parseInt(req.query.round);
+    const groupId = req.query.groupId || null;
+    if (userIds.length !== 2 || userIds[0] === userIds[1]) {
+      return res.status(400).json({ error: 'Pass two different user IDs as users=a,b' });
+    }
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+    const usersResult = await pool.query('SELECT id, username FROM users WHERE id = ANY($1::uuid[])', [userIds]);
+    if (usersResult.rows.length !== 2) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    for (const userId of userIds) {
+      const visibilityError = await rosterService.visibilityError(req.user, userId, round);
+      if (visibilityError) {
+        return res.status(403).json({ error: visibilityError });
+      }
+    }
+    const hiddenTeams = await Promise.all(userIds.map(userId => rosterService.hiddenTeams(req.user, userId, round)));
+    const comparison = await rosterService.compare(userIds, round, { groupId, hiddenTeams });
+    const usernames = new Map(usersResult.rows.map(u => [u.id, u.username]));
+    res.json({
+      ...comparison,
+      users: comparison.users.map(u => ({ ...u, username: usernames.get(u.userId) }))
+    });
+  } catch (error) {
+    console.error('Compare rosters error:', error);
+    if (error.code === '22P02') {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    res.status(500).json({ error: 'Failed to compare rosters' });
   }
 });
 
 router.get('/user/:userId/round/:round', authenticateToken, async (req, res) => {
   try {
-    const userId = parseInt(req.params.userId);
+    const userId = req.params.userId;
     const round = parseInt(req.params.round);
-    if (!userId || !round || round < 0 || round > 3) {
-      return res.status(400).json({ error: 'Invalid user ID or round' });
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
     }
     const userResult = await pool.query('SELECT id, username FROM users WHERE id = $1', [userId]);
     if (userResult.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
+    const visibilityError = await rosterService.visibilityError(req.user, userId, round);
+    if (visibilityError) {
+      return res.status(403).json({ error: visibilityError });
+    }
     const user = userResult.rows[0];
     const rosterResult = await pool.query(`
-      SELECT r.id, r.round, r.is_submitted, r.submitted_at
+      SELECT r.id, r.round, r.submitted_version_id, v.version, v.submitted_at
       FROM rosters r
+      LEFT JOIN roster_versions v ON v.id = r.submitted_version_id
       WHERE r.user_id = $1 AND r.round = $2
     `, [userId, round]);
     if (rosterResult.rows.length === 0) {
       return res.json({ user, round, roster: null, message: 'No roster found for this round' });
     }
     const roster = rosterResult.rows[0];
+    const statsSource = await statChanges.playerStatsSource();
     const playersResult = await pool.query(`
       SELECT 
-        p.id, p.name, p.team_abbrev as team, p.position, p.cost, p.nhl_id,
+        p.id, p.name, p.team_abbrev as team, p.position, player_cost(p.id, $2) as cost, p.nhl_id,
         t.conference,
         rp.is_star,
-        p.goals_reg, p.assists_reg, p.wins_reg, p.shutouts_reg,
-        p.goals_playoff, p.assists_playoff, p.wins_playoff, p.shutouts_playoff
-      FROM roster_players rp
+        COALESCE(ps.goals, 0) as goals,
+        COALESCE(ps.assists, 0) as assists,
+        COALESCE(ps.wins, 0) as wins,
+        COALESCE(ps.shutouts, 0) as shutouts,
+        COALESCE(ps.games_played, 0) as games_played
+      FROM scored_roster_players rp
       JOIN players p ON rp.player_id = p.id
       JOIN teams t ON p.team_abbrev = t.abbrev
+      LEFT JOIN ${statsSource} ps ON p.id = ps.player_id AND ps.round = $2
       WHERE rp.roster_id = $1
       ORDER BY t.conference, p.position, p.name
-    `, [roster.id]);
+    `, [roster.id, round]);
+    const hiddenTeams = await rosterService.hiddenTeams(req.user, userId, round);
+    const shownPlayers = playersResult.rows.filter(player => !hiddenTeams.has(player.team));
     const organized = {
       western: { forwards: [], defense: [], goalies: [] },
       eastern: { forwards: [], defense: [], goalies: [] }
     };
     const stars = { forward: null, defense: null, goalie: null };
-    playersResult.rows.forEach(player => {
+    shownPlayers.forEach(player => {
       const posKey = player.position === 'forward' ? 'forwards' : 
                      player.position === 'defense' ? 'defense' : 'goalies';
       organized[player.conference][posKey].push(player);
@@ -232,29 +459,113 @@ router.get('/user/:userId/round/:round', authenticateToken, async (req, res) =>
         stars[player.position] = player.id;
       }
     });
+    // Like the players, answers come from the latest submitted version when there is one
     const tiebreakerResult = await pool.query(`
-      SELECT question_1, question_2
-      FROM tiebreakers
-      WHERE user_id = $1 AND round = $2
-    `, [userId, round]);
-    const tiebreakers = tiebreakerResult.rows[0] || { question_1: null, question_2: null };
+      SELECT question1_answer, question2_answer FROM roster_versions WHERE id = $3
+      UNION ALL
+      SELECT question1_answer, question2_answer FROM tiebreakers
+      WHERE user_id = $1 AND round = $2 AND $3::int IS NULL
+    `, [userId, round, roster.submitted_version_id]);
+    const tiebreakers = {
+      q1: tiebreakerResult.rows[0]?.question1_answer ?? null,
+      q2: tiebreakerResult.rows[0]?.question2_answer ?? null
+    };
     res.json({
       user,
       round,
       roster: {
         id: roster.id,
-        isSubmitted: roster.is_submitted,
+        isSubmitted: roster.submitted_version_id !== null,
+        version: roster.version,
         submittedAt: roster.submitted_at,
         selections: organized,
         stars,
-        players: playersResult.rows
+        players: shownPlayers,
+        // Picks of teams that have not started the round yet, while they can still change
+        hiddenPicks: playersResult.rows.length - shownPlayers.length
       },
       tiebreakers
     });
   } catch (error) {
     console.error('Get user roster error:', error);
+    if (error.code === '22P02') {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
     res.status(500).json({ error: 'Failed to get user roster' });
   }
 });
 
+// Every submitted version of a roster. Visible to the roster's owner, admins,
+// and, once the round locks, owners of a group the user belongs to.
+router.get('/user/:userId/round/:round/versions', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.params.userId;
+    const round = parseInt(req.params.round);
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+    if (userId !== req.user.id && !req.user.isAdmin) {
+      const commissionerResult = await pool.query(`
+        SELECT 1 FROM groups g
+        JOIN group_members gm ON gm.group_id = g.id
+        WHERE g.owner_id = $1 AND gm.user_id = $2
+        LIMIT 1
+      `, [req.user.id, userId]);
+      if (commissionerResult.rows.length === 0) {
+        return res.status(403).json({ error: 'Only group commissioners can view roster history' });
+      }
+      const visibilityError = await rosterService.visibilityError(req.user, userId, round);
+      if (visibilityError) {
+        return res.status(403).json({ error: visibilityError });
+      }
+    }
+    const rosterResult = await pool.query('SELECT id FROM rosters WHERE user_id = $1 AND round = $2', [userId, round]);
+    if (rosterResult.rows.length === 0) {
+      return res.json({ versions: [] });
+    }
+    const hiddenTeams = await rosterService.hiddenTeams(req.user, userId, round);
+    const versions = await rosterService.getVersions(rosterResult.rows[0].id, { hiddenTeams });
+    res.json({ versions });
+  } catch (error) {
+    console.error('Get roster versions error:', error);
+    if (error.code === '22P02') {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    res.status(500).json({ error: 'Failed to get roster versions' });
+  }
+});
+
+// Per-player fantasy points for a roster, with totals by conference and position.
+// Pass ?groupId= to score with that group's rules.
+router.get('/user/:userId/round/:round/breakdown', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.params.userId;
+    const round = parseInt(req.params.round);
+    const groupId = req.query.groupId || null;
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+    const userResult = await pool.query('SELECT id, username FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const visibilityError = await rosterService.visibilityError(req.user, userId, round);
+    if (visibilityError) {
+      return res.status(403).json({ error: visibilityError });
+    }
+    const hiddenTeams = await rosterService.hiddenTeams(req.user, userId, round);
+    const breakdown = await rosterService.getBreakdown(userId, round, { groupId, hiddenTeams });
+    if (!breakdown) {
+      return res.json({ user: userResult.rows[0], round, roster: null, message: 'No roster found for this round' });
+    }
+    res.json({ user: userResult.rows[0], round, ...breakdown });
+  } catch (error) {
+    console.error('Get roster breakdown error:', error);
+    if (error.code === '22P02') {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    res.status(500).json({ error: 'Failed to get roster breakdown' });
+  }
+});
+
 module.exports = router;
@@ -1,7 +1,14 @@
 // routes/standings.js - Updated to use rounds table for deadlines
 const express = require('express');
 const pool = require('../../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const scoring = require('../services/scoring');
+const standingsService = require('../services/standings');
+const rosterService = require('../services/rosters');
+const perfectLineup = require('../services/perfectLineup');
+const projections = require('../services/projections');
+const rounds = require('../services/rounds');
+const { startStatsUpdate } = require('../jobs/fetchStats');
 
 const router = express.Router();
 
@@ -16,17 +23,157 @@ const verifyAdmin = async (req, res, next) => {
 // GET /api/standings - Get global leaderboard
 router.get('/', async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT * FROM leaderboard
-    `);
+    const standings = await standingsService.getLeaderboard();
 
-    res.json({ standings: result.rows });
+    res.json({ standings });
   } catch (error) {
     console.error('Error fetching standings:', error);
     res.status(500).json({ error: 'Failed to fetch standings' });
   }
 });
 
+// GET /api/standings/history/:userId - A user's rank over time (global, or ?groupId= for a group)
+router.get('/history/:userId', optionalAuth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const groupId = req.query.groupId || null;
+
+    if (groupId) {
+      const memberCheck = req.user && await pool.query(`
+        SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2
+      `, [groupId, req.user.id]);
+
+      if (!memberCheck || memberCheck.rows.length === 0) {
+        return res.status(403).json({ error: 'Not a member of this group' });
+      }
+    }
+
+    const { history, movement, pointsGained } = await standingsService.getRankHistory(userId, groupId);
+
+    res.json({ userId, groupId, history, movement, pointsGained });
+  } catch (error) {
+    console.error('Error fetching rank history:', error);
+    res.status(500).json({ error: 'Failed to fetch rank history' });
+  }
+});
+
+// GET /api/standings/last-night - Points each user scored on the latest game date (or ?date=YYYY-MM-DD)
+router.get('/last-night', async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const result = await standingsService.getPointsForDate(date || null);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching nightly points:', error);
+    res.status(500).json({ error: 'Failed to fetch nightly points' });
+  }
+});
+
+// GET /api/standings/perfect/:round - Best possible roster for a round and how close each user came (?groupId= for a group)
+router.get('/perfect/:round', optionalAuth, async (req, res) => {
+  try {
+    const round = parseInt(req.params.round);
+    const groupId = req.query.groupId || null;
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+
+    if (groupId) {
+      const memberCheck = req.user && await pool.query(`
+        SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2
+      `, [groupId, req.user.id]);
+
+      if (!memberCheck || memberCheck.rows.length === 0) {
+        return res.status(403).json({ error: 'Not a member of this group' });
+      }
+    }
+
+    if (!await rosterService.isRoundLocked(round)) {
+      return res.status(403).json({ error: 'The perfect lineup is shown once the round locks' });
+    }
+
+    res.json(await perfectLineup.getPerfectLineup(round, { groupId }));
+  } catch (error) {
+    console.error('Error computing perfect lineup:', error);
+    res.status(500).json({ error: 'Failed to compute perfect lineup' });
+  }
+});
+
+// GET /api/standings/projections/:round - Projected round finish and rank range for each user (?groupId= for a group)
+router.get('/projections/:round', optionalAuth, async (req, res) => {
+  try {
+    const round = parseInt(req.params.round);
+    const groupId = req.query.groupId || null;
+    if (!await rounds.isScoringRound(round)) {
+      return res.status(400).json({ error: 'Invalid round' });
+    }
+
+    if (groupId) {
+      const memberCheck = req.user && await pool.query(`
+        SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2
+      `, [groupId, req.user.id]);
+
+      if (!memberCheck || memberCheck.rows.length === 0) {
+        return res.status(403).json({ error: 'Not a member of this group' });
+      }
+    }
+
+    // Projections list rostered players, which stay hidden until the round locks
+    if (!await rosterService.isRoundLocked(round)) {
+      return res.status(403).json({ error: 'Projections are shown once the round locks' });
+    }
+
+    res.json(await projections.getProjections(round, { groupId }));
+  } catch (error) {
+    console.error('Error computing projections:', error);
+    res.status(500).json({ error: 'Failed to compute projections' });
+  }
+});
+
+// GET /api/standings/scoring - Get the scoring rules (season default, or a group's rules)
+router.get('/scoring', async (req, res) => {
+  try {
+    const rules = await scoring.getRules(req.query.groupId || null);
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Error fetching scoring rules:', error);
+    res.status(500).json({ error: 'Failed to fetch scoring rules' });
+  }
+});
+
+// GET /api/standings/tiebreakers - Get tiebreaker questions (and answers once entered) per round
+router.get('/tiebreakers', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT round, question_number, question, answer
+      FROM tiebreaker_questions
+      ORDER BY round, question_number
+    `);
+
+    const questions = {};
+    result.rows.forEach(q => {
+      if (!questions[q.round]) questions[q.round] = [];
+      questions[q.round].push({
+        questionNumber: q.question_number,
+        question: q.question,
+        answer: q.answer
+      });
+    });
+
+    res.json({ questions });
+  } catch (error) {
+    console.error('Error fetching tiebreaker questions:', error);
+    res.status(500).json({ error: 'Failed to fetch tiebreaker questions' });
+  }
+});
+
 // GET /api/standings/settings - Get current round, lock dates, and stats info
 router.get('/settings', async (req, res) => {
   try {
@@ -38,7 +185,7 @@ router.get('/settings', async (req, res) => {
 
     // Get pick deadlines from rounds table
     const roundsResult = await pool.query(`
-      SELECT round_number, pick_deadline
+      SELECT round_number, name, pick_deadline
       FROM rounds
       ORDER BY round_number
     `);
@@ -52,17 +199,25 @@ router.get('/settings', async (req, res) => {
 
     // Get stats update info
     const statsResult = await pool.query(`
-      SELECT value FROM settings WHERE key IN ('stats_last_updated', 'stats_verified')
+      SELECT key, value FROM settings WHERE key IN ('stats_last_updated', 'stats_verified', 'stats_approved_only', 'lock_mode')
     `);
     
+    // Values are JSONB, so these come back already parsed
     const lastUpdate = statsResult.rows.find(r => r.key === 'stats_last_updated')?.value || null;
-    const isVerified = statsResult.rows.find(r => r.key === 'stats_verified')?.value === 'true';
+    const isVerified = statsResult.rows.find(r => r.key === 'stats_verified')?.value === true;
+    const approvedOnly = statsResult.rows.find(r => r.key === 'stats_approved_only')?.value === true;
+    const lockMode = statsResult.rows.find(r => r.key === 'lock_mode')?.value === 'game' ? 'game' : 'round';
 
     res.json({
       currentRound: parseInt(currentRound),
       lockDates,
       lastUpdate,
-      isVerified
+      isVerified,
+      approvedOnly,
+      lockMode,
+      // Scoring rounds, in order; the testing round (0) is left out
+      rounds: roundsResult.rows.filter(r => r.round_number >= 1).map(r => ({ roundNumber: r.round_number, name: r.name })),
+      roundSettings: await rosterService.getAllRoundSettings()
     });
   } catch (error) {
     console.error('Error fetching settings:', error);
@@ -70,43 +225,54 @@ router.get('/settings', async (req, res) => {
   }
 });
 
-// PUT /api/standings/settings - Update current round (admin only)
+// PUT /api/standings/settings - Update current round and/or lock mode (admin only)
 router.put('/settings', authenticateToken, verifyAdmin, async (req, res) => {
   try {
-    const { currentRound } = req.body;
+    const { currentRound, lockMode } = req.body;
 
-    if (currentRound < 0 || currentRound > 3) {
-      return res.status(400).json({ error: 'Invalid round number (must be 0-3)' });
+    if (currentRound !== undefined && !await rounds.isRound(currentRound)) {
+      return res.status(400).json({ error: 'Invalid round number' });
+    }
+    if (lockMode !== undefined && !['round', 'game'].includes(lockMode)) {
+      return res.status(400).json({ error: "Lock mode must be 'round' or 'game'" });
     }
 
-    await pool.query(`
-      UPDATE settings
-      SET value = $1, updated_at = NOW()
-      WHERE key = 'current_round'
-    `, [currentRound]);
+    if (currentRound !== undefined) {
+      await pool.query(`
+        UPDATE settings
+        SET value = $1, updated_at = NOW()
+        WHERE key = 'current_round'
+      `, [currentRound]);
+    }
+
+    // 'round' locks every roster at the pick deadline; 'game' locks each player when their team first plays in the round
+    if (lockMode !== undefined) {
+      await pool.query(`
+        INSERT INTO settings (key, value, updated_at) VALUES ('lock_mode', to_jsonb($1::text), NOW())
+        ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+      `, [lockMode]);
+    }
 
-    res.json({ message: 'Settings updated successfully', currentRound });
+    res.json({ message: 'Settings updated successfully', currentRound, lockMode });
   } catch (error) {
     console.error('Error updating settings:', error);
     res.status(500).json({ error: 'Failed to update settings' });
   }
 });
 
-// POST /api/standings/refresh - Trigger stats refresh (admin only)
+// POST /api/standings/refresh - Start a stats update job (admin only)
+// Body { full: true } refetches every player instead of only teams with new games.
+// Returns the job ID to poll at GET /api/admin/stats/jobs/:id
 router.post('/refresh', authenticateToken, verifyAdmin, async (req, res) => {
   try {
-    // In production, this would trigger a background job
-    // For now, we'll just log and return success
     console.log('Stats refresh triggered by admin:', req.user.id);
-    
-    // Update the last update timestamp
-    await pool.query(`
-      UPDATE settings
-      SET value = $1, updated_at = NOW()
-      WHERE key = 'stats_last_updated'
-    `, [new Date().toISOString()]);
-
-    res.json({ message: 'Stats refresh initiated' });
+    const job = await startStatsUpdate({ trigger: 'manual', triggeredBy: req.user.id, full: req.body?.full === true });
+
+    if (!job.started) {
+      return res.json({ message: 'A stats update is already running', jobId: job.jobId, alreadyRunning: true });
+    }
+
+    res.status(202).json({ message: 'Stats refresh started', jobId: job.jobId, alreadyRunning: false });
   } catch (error) {
     console.error('Error refreshing stats:', error);
     res.status(500).json({ error: 'Failed to refresh stats' });
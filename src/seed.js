@@ -5,6 +5,7 @@
 
 require('dotenv').config();
 const pool = require('../config/database');
+const rounds = require('./services/rounds');
 
 // NHL Playoff Teams (update each season)
 const TEAMS = [
@@ -116,8 +117,9 @@ async function seed() {
     // Initialize player stats (all zeros)
     console.log('Initializing player stats...');
     const playersResult = await pool.query('SELECT id FROM players');
+    const roundNumbers = await rounds.getRoundNumbers();
     for (const player of playersResult.rows) {
-      for (const round of [1, 2, 3]) {
+      for (const round of roundNumbers) {
         await pool.query(`
           INSERT INTO player_stats (player_id, round, goals, assists, wins, shutouts, games_played)
           VALUES ($1, $2, 0, 0, 0, 0, 0)
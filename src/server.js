@@ -11,6 +11,7 @@ const rostersRoutes = require('./routes/rosters');
 const groupsRoutes = require('./routes/groups');
 const standingsRoutes = require('./routes/standings');
 const adminRoutes = require('./routes/admin'); // NEW: Admin routes
+const bracketRoutes = require('./routes/bracket');
 const { setupScheduledJobs } = require('./jobs/fetchStats');
 
 const app = express();
@@ -63,7 +64,7 @@ app.get('/api/migrate', async (req, res) => {
     await pool.query(`
       CREATE TABLE IF NOT EXISTS rounds (
         id SERIAL PRIMARY KEY,
-        round_number INT UNIQUE NOT NULL CHECK (round_number >= 0 AND round_number <= 3),
+        round_number INT UNIQUE NOT NULL CHECK (round_number >= 0 AND round_number <= 4),
         name VARCHAR(100) NOT NULL,
         pick_deadline TIMESTAMP WITH TIME ZONE,
         start_date TIMESTAMP WITH TIME ZONE,
@@ -90,7 +91,7 @@ app.get('/api/migrate', async (req, res) => {
     await pool.query(`
       CREATE TABLE IF NOT EXISTS team_qualifications (
         id SERIAL PRIMARY KEY,
-        round_number INT NOT NULL CHECK (round_number >= 0 AND round_number <= 3),
+        round_number INT NOT NULL CHECK (round_number >= 0 AND round_number <= 4),
         team_abbrev VARCHAR(3) NOT NULL REFERENCES teams(abbrev),
         qualified BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -159,12 +160,12 @@ app.get('/api/fix-rounds', async (req, res) => {
     `);
     console.log('✓ Dropped old rounds constraint');
     
-    // Add new constraint allowing 0-3
+    // Add new constraint allowing 0-4
     await pool.query(`
       ALTER TABLE rounds ADD CONSTRAINT rounds_round_number_check 
-      CHECK (round_number >= 0 AND round_number <= 3)
+      CHECK (round_number >= 0 AND round_number <= 4)
     `);
-    console.log('✓ Added new rounds constraint (0-3)');
+    console.log('✓ Added new rounds constraint (0-4)');
     
     // Insert testing round
     await pool.query(`
@@ -180,7 +181,7 @@ app.get('/api/fix-rounds', async (req, res) => {
     `);
     await pool.query(`
       ALTER TABLE team_qualifications ADD CONSTRAINT team_qualifications_round_number_check 
-      CHECK (round_number >= 0 AND round_number <= 3)
+      CHECK (round_number >= 0 AND round_number <= 4)
     `);
     console.log('✓ Team qualifications constraint updated');
     
@@ -203,8 +204,8 @@ app.get('/api/fix-rounds', async (req, res) => {
       success: true, 
       message: 'All constraints fixed! Testing round (Round 0) is now fully available.',
       changes: [
-        'Updated rounds constraint to allow 0-3',
-        'Updated team_qualifications constraint to allow 0-3',
+        'Updated rounds constraint to allow 0-4',
+        'Updated team_qualifications constraint to allow 0-4',
         'Inserted Testing Round (Round 0)',
         'Removed any conflicting settings constraints'
       ]
@@ -310,6 +311,7 @@ app.use('/api/rosters', rostersRoutes);
 app.use('/api/groups', groupsRoutes);
 app.use('/api/admin', adminRoutes); // Admin routes
 app.use('/api/standings', standingsRoutes); // Standings routes
+app.use('/api/bracket', bracketRoutes);
 
 // Error handling
 app.use((err, req, res, next) => {
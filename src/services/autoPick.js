@@ -0,0 +1,313 @@
+const pool = require('../../config/database');
+const scoring = require('./scoring');
+const overrides = require('./overrides');
+const rosterService = require('./rosters');
+
+const STRATEGIES = ['balanced', 'stars_and_scrubs', 'random', 'projected'];
+// Players without playoff games are projected from their price: a $5 player is expected to score about a point a game
+const POINTS_PER_COST = 0.2;
+
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+class AutoPickService {
+  get strategies() {
+    return STRATEGIES;
+  }
+
+  /**
+   * Players eligible for a round with their price and projected fantasy points per game
+   */
+  async getPool(db, round) {
+    const [result, rules] = await Promise.all([
+      db.query(`
+        SELECT
+          p.id, p.name, p.team_abbrev, p.position, player_cost(p.id, $1) as cost, t.conference,
+          COUNT(g.id)::int as games_played,
+          COALESCE(SUM(g.goals), 0)::int as goals,
+          COALESCE(SUM(g.assists), 0)::int as assists,
+          COUNT(g.id) FILTER (WHERE g.decision = 'W')::int as wins,
+          COALESCE(SUM(g.shutouts), 0)::int as shutouts
+        FROM players p
+        JOIN teams t ON p.team_abbrev = t.abbrev
+        LEFT JOIN ${overrides.gameStatsSource()} g ON g.player_id = p.id
+        WHERE p.is_active = true AND t.is_eliminated = false
+          AND (
+            NOT EXISTS (SELECT 1 FROM team_qualifications WHERE round_number = $1 AND qualified = true)
+            OR EXISTS (
+              SELECT 1 FROM team_qualifications tq
+              WHERE tq.round_number = $1 AND tq.team_abbrev = p.team_abbrev AND tq.qualified = true
+            )
+          )
+        GROUP BY p.id, t.conference
+      `, [round]),
+      scoring.getRules()
+    ]);
+
+    return result.rows.map(p => ({
+      ...p,
+      projected: p.games_played > 0
+        ? scoring.playerPoints(p, p.position, false, rules) / p.games_played
+        : p.cost * POINTS_PER_COST
+    }));
+  }
+
+  /**
+   * Candidates in the order a strategy prefers them
+   */
+  rank(players, strategy) {
+    if (strategy === 'random') return shuffle(players);
+    if (strategy === 'stars_and_scrubs') {
+      // Priciest first; the budget reserved for open slots forces the rest down to the cheapest players
+      return [...players].sort((a, b) => b.cost - a.cost || b.projected - a.projected);
+    }
+    return [...players].sort((a, b) => b.projected - a.projected || a.cost - b.cost);
+  }
+
+  /**
+   * Build a complete roster for a round under the salary cap.
+   * Players in keep ({ selections, stars }) stay on the roster when they are still eligible and fit;
+   * the strategy fills the remaining slots. Returns { strategy, selections, stars, totalCost },
+   * or null when the eligible players cannot fill a roster under the cap.
+   */
+  async generate(db, round, { strategy = 'balanced', keep = null } = {}) {
+    const [players, settings] = await Promise.all([
+      this.getPool(db, round),
+      rosterService.getRoundSettings(db, round)
+    ]);
+    const byId = new Map(players.map(p => [p.id, p]));
+    const groups = rosterService.slotGroups(settings);
+    const slotKey = (p) => groups.findIndex(g => rosterService.inSlotGroup(p, g));
+
+    // Open slots and the eligible players for each slot group, cheapest first, keyed by group index
+    const open = new Map();
+    const byCost = new Map();
+    for (const [key, group] of groups.entries()) {
+      const eligible = players.filter(p => slotKey(p) === key).sort((a, b) => a.cost - b.cost);
+      if (eligible.length < group.limit) return null;
+      open.set(key, group.limit);
+      byCost.set(key, eligible);
+    }
+
+    const chosen = [];
+    let budget = settings.salaryCap;
+
+    // Cheapest possible cost of every open slot from the players still available, assuming the player is taken
+    const reserveAfter = (player) => {
+      let reserve = 0;
+      for (const [key, count] of open) {
+        const needed = key === slotKey(player) ? count - 1 : count;
+        const available = byCost.get(key).filter(p => p !== player && !chosen.includes(p)).slice(0, needed);
+        if (available.length < needed) return Infinity;
+        reserve += available.reduce((sum, p) => sum + p.cost, 0);
+      }
+      return reserve;
+    };
+    const canTake = (player, maxCost = Infinity) => !chosen.includes(player) &&
+      open.get(slotKey(player)) > 0 && player.cost <= maxCost && player.cost + reserveAfter(player) <= budget;
+    const take = (player) => {
+      chosen.push(player);
+      open.set(slotKey(player), open.get(slotKey(player)) - 1);
+      budget -= player.cost;
+    };
+
+    for (const pick of rosterService.flattenSelections(keep?.selections)) {
+      const player = byId.get(pick.playerId);
+      if (player && player.conference === pick.conference && player.position === pick.position && canTake(player)) {
+        take(player);
+      }
+    }
+
+    const ranked = this.rank(players, strategy);
+    const slotsLeft = () => [...open.values()].reduce((sum, n) => sum + n, 0);
+
+    // Balanced rosters spread the budget, never spending more than an even share of what is left on one player
+    if (strategy === 'balanced') {
+      let progress = true;
+      while (slotsLeft() > 0 && progress) {
+        progress = false;
+        const share = Math.ceil(budget / slotsLeft());
+        const player = ranked.find(p => canTake(p, share));
+        if (player) {
+          take(player);
+          progress = true;
+        }
+      }
+    }
+
+    for (const player of ranked) {
+      if (slotsLeft() === 0) break;
+      if (canTake(player)) take(player);
+    }
+    if (slotsLeft() > 0) return null;
+
+    const { selections } = rosterService.toSelections(chosen);
+
+    // Kept stars stay; the rest go to the strategy's top choices, one per position
+    const stars = { forward: null, defense: null, goalie: null };
+    const starRank = strategy === 'stars_and_scrubs' ? 'projected' : strategy;
+    let starsLeft = settings.starCount;
+    for (const position of Object.keys(stars)) {
+      const keptStar = keep?.stars?.[position];
+      if (starsLeft > 0 && chosen.some(p => p.id === keptStar && p.position === position)) {
+        stars[position] = keptStar;
+        starsLeft--;
+      }
+    }
+    for (const player of this.rank(chosen, starRank)) {
+      if (starsLeft <= 0) break;
+      if (stars[player.position] === null) {
+        stars[player.position] = player.id;
+        starsLeft--;
+      }
+    }
+
+    return {
+      strategy,
+      selections,
+      stars,
+      totalCost: chosen.reduce((sum, p) => sum + p.cost, 0)
+    };
+  }
+
+  async getSettings() {
+    const result = await pool.query(`SELECT value FROM settings WHERE key = 'auto_pick'`);
+    return { enabled: false, strategy: 'balanced', ...(result.rows[0]?.value || {}) };
+  }
+
+  async saveSettings({ enabled, strategy }) {
+    const value = { enabled: !!enabled, strategy };
+    await pool.query(`
+      INSERT INTO settings (key, value, updated_at) VALUES ('auto_pick', $1, NOW())
+      ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+    `, [JSON.stringify(value)]);
+    return value;
+  }
+
+  /**
+   * Give every pool entrant (group members and verified users) with no submitted roster for the round a generated one.
+   * A member's unsubmitted draft is kept where it is still valid and completed around.
+   * Returns { runId, round, strategy, filled, errors }.
+   */
+  async fillRound(round, { strategy, userId = null } = {}) {
+    const usersResult = await pool.query(`
+      SELECT u.id, u.username
+      FROM users u
+      LEFT JOIN rosters r ON r.user_id = u.id AND r.round = $1
+      WHERE (u.is_verified OR EXISTS (SELECT 1 FROM group_members gm WHERE gm.user_id = u.id))
+        AND r.submitted_version_id IS NULL
+      ORDER BY u.username
+    `, [round]);
+
+    let filled = 0;
+    const errors = [];
+    for (const user of usersResult.rows) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const rosterResult = await client.query(`
+          INSERT INTO rosters (user_id, round) VALUES ($1, $2)
+          ON CONFLICT (user_id, round) DO UPDATE SET updated_at = NOW()
+          RETURNING id, submitted_version_id
+        `, [user.id, round]);
+        const roster = rosterResult.rows[0];
+        // Submitted since the member list was read
+        if (roster.submitted_version_id) {
+          await client.query('ROLLBACK');
+          continue;
+        }
+
+        const keep = await rosterService.getSelections(client, roster.id);
+        const generated = await this.generate(client, round, { strategy, keep });
+        if (!generated) {
+          await client.query('ROLLBACK');
+          errors.push(`${user.username}: not enough eligible players to build a roster under the cap`);
+          continue;
+        }
+
+        // Saved rosters must pass the same rules as a user's own submit
+        const invalid = await rosterService.validate(client, round, generated, { complete: true });
+        if (invalid.length > 0) {
+          await client.query('ROLLBACK');
+          errors.push(`${user.username}: ${invalid[0].message}`);
+          continue;
+        }
+
+        const playerIds = rosterService.flattenSelections(generated.selections).map(p => p.playerId);
+        await client.query('DELETE FROM roster_players WHERE roster_id = $1', [roster.id]);
+        await client.query(`
+          INSERT INTO roster_players (roster_id, player_id, is_star)
+          SELECT $1, player_id, player_id = ANY($3::uuid[])
+          FROM unnest($2::uuid[]) AS player_id
+        `, [roster.id, playerIds, rosterService.starIds(generated.stars)]);
+        await rosterService.submitVersion(client, roster.id, { autoPicked: true });
+
+        await client.query('COMMIT');
+        filled++;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        errors.push(`${user.username}: ${error.message}`);
+      } finally {
+        client.release();
+      }
+    }
+
+    const runResult = await pool.query(`
+      INSERT INTO auto_pick_runs (round, strategy, filled, errors, triggered_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [round, strategy, filled, JSON.stringify(errors), userId]);
+
+    return { runId: runResult.rows[0].id, round, strategy, filled, errors };
+  }
+
+  /**
+   * Fill every locked round that has not been auto-filled yet, when admins have opted in
+   */
+  async fillLockedRounds() {
+    const settings = await this.getSettings();
+    if (!settings.enabled) return [];
+
+    const roundsResult = await pool.query(`
+      SELECT round_number FROM rounds
+      WHERE round_number >= 1 AND pick_deadline IS NOT NULL AND pick_deadline < NOW()
+        AND NOT EXISTS (SELECT 1 FROM auto_pick_runs WHERE round = round_number)
+      ORDER BY round_number
+    `);
+
+    const results = [];
+    for (const { round_number } of roundsResult.rows) {
+      results.push(await this.fillRound(round_number, { strategy: settings.strategy }));
+    }
+    return results;
+  }
+
+  async getRuns(limit = 20) {
+    const result = await pool.query(`
+      SELECT a.*, u.username as triggered_by_username
+      FROM auto_pick_runs a
+      LEFT JOIN users u ON a.triggered_by = u.id
+      ORDER BY a.created_at DESC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      round: row.round,
+      strategy: row.strategy,
+      filled: row.filled,
+      errors: row.errors,
+      triggeredBy: row.triggered_by_username || null,
+      createdAt: row.created_at
+    }));
+  }
+}
+
+module.exports = new AutoPickService();
@@ -0,0 +1,94 @@
+const pool = require('../../config/database');
+
+const NHL_ROUND_NAMES = {
+  1: 'First Round',
+  2: 'Second Round',
+  3: 'Conference Finals',
+  4: 'Stanley Cup Final'
+};
+
+class BracketService {
+  constructor() {
+    this.season = process.env.NHL_SEASON || '20252026';
+  }
+
+  formatSeries(row) {
+    return {
+      seriesLetter: row.series_letter,
+      round: row.round,
+      title: row.title || NHL_ROUND_NAMES[row.round],
+      conference: row.conference,
+      status: row.status,
+      winner: row.winner_abbrev,
+      topSeed: row.top_seed_abbrev ? {
+        abbrev: row.top_seed_abbrev,
+        name: row.top_seed_name,
+        color: row.top_seed_color,
+        rank: row.top_seed_rank,
+        wins: row.top_seed_wins
+      } : null,
+      bottomSeed: row.bottom_seed_abbrev ? {
+        abbrev: row.bottom_seed_abbrev,
+        name: row.bottom_seed_name,
+        color: row.bottom_seed_color,
+        rank: row.bottom_seed_rank,
+        wins: row.bottom_seed_wins
+      } : null
+    };
+  }
+
+  /**
+   * All series for the season, grouped by NHL round
+   */
+  async getBracket() {
+    const result = await pool.query(`
+      SELECT
+        s.*,
+        ts.name as top_seed_name, ts.color as top_seed_color,
+        bs.name as bottom_seed_name, bs.color as bottom_seed_color,
+        CASE WHEN s.round < 4 THEN COALESCE(ts.conference, bs.conference) END as conference
+      FROM series s
+      LEFT JOIN teams ts ON ts.abbrev = s.top_seed_abbrev
+      LEFT JOIN teams bs ON bs.abbrev = s.bottom_seed_abbrev
+      WHERE s.season = $1
+      ORDER BY s.round, s.series_letter
+    `, [this.season]);
+
+    const rounds = Object.entries(NHL_ROUND_NAMES).map(([round, name]) => ({
+      round: parseInt(round),
+      name,
+      series: result.rows.filter(r => r.round === parseInt(round)).map(r => this.formatSeries(r))
+    }));
+
+    return { season: this.season, rounds, teams: this.teamStatuses(rounds) };
+  }
+
+  /**
+   * Each team's latest series from its own point of view, keyed by abbrev
+   */
+  teamStatuses(rounds) {
+    const teams = {};
+
+    for (const { series } of rounds) {
+      for (const s of series) {
+        for (const [team, opponent] of [[s.topSeed, s.bottomSeed], [s.bottomSeed, s.topSeed]]) {
+          if (!team) continue;
+          teams[team.abbrev] = {
+            round: s.round,
+            seriesLetter: s.seriesLetter,
+            opponent: opponent?.abbrev || null,
+            wins: team.wins,
+            losses: opponent?.wins || 0,
+            status: s.status,
+            won: s.status === 'complete' ? s.winner === team.abbrev : null,
+            eliminated: s.status === 'complete' && s.winner !== team.abbrev
+          };
+        }
+      }
+    }
+
+    return teams;
+  }
+}
+
+module.exports = new BracketService();
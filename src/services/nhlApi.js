@@ -1,13 +1,40 @@
-const axios = require('axios');
 const pool = require('../../config/database');
+const { createStatsProvider } = require('./statsProviders');
+const statChanges = require('./statChanges');
+const overrides = require('./overrides');
+const rounds = require('./rounds');
 
-const NHL_API_BASE = 'https://api-web.nhle.com/v1';
-const NHL_STATS_BASE = 'https://api.nhle.com/stats/rest/en';
+const FINISHED_GAME_STATES = ['FINAL', 'OFF'];
+// How far back to look in the schedule for finished games that have not been fetched yet
+const SCHEDULE_LOOKBACK_DAYS = 2;
+// NHL roster position codes mapped to pool positions
+const ROSTER_POSITIONS = { C: 'forward', L: 'forward', R: 'forward', D: 'defense', G: 'goalie' };
+// Cost given to newly imported players until they are priced
+const IMPORT_DEFAULT_COST = 1;
+
+/**
+ * Run fn over items with at most limit calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
 
 class NHLApiService {
   constructor() {
     this.season = process.env.NHL_SEASON || '20252026';
     this.gameType = process.env.NHL_PLAYOFF_GAME_TYPE || '3'; // 3 = playoffs
+    this.concurrency = parseInt(process.env.STATS_FETCH_CONCURRENCY) || 6;
+    // Live NHL API or recorded fixtures, chosen by STATS_PROVIDER
+    this.provider = createStatsProvider({ season: this.season, gameType: this.gameType });
+    // ETag of each player's last saved game log (by NHL ID), for conditional requests
+    this.gameLogEtags = new Map();
   }
 
   /**
@@ -15,8 +42,7 @@ class NHLApiService {
    */
   async getPlayoffSchedule() {
     try {
-      const response = await axios.get(`${NHL_API_BASE}/schedule/now`);
-      return response.data;
+      return await this.provider.getSchedule();
     } catch (error) {
       console.error('Error fetching playoff schedule:', error.message);
       return null;
@@ -28,14 +54,8 @@ class NHLApiService {
    */
   async getPlayerGameLog(nhlPlayerId) {
     try {
-      const url = `${NHL_API_BASE}/player/${nhlPlayerId}/game-log/${this.season}/${this.gameType}`;
-      const response = await axios.get(url);
-      return response.data;
+      return await this.provider.getPlayerGameLog(nhlPlayerId);
     } catch (error) {
-      if (error.response?.status === 404) {
-        // Player has no playoff games yet
-        return { gameLog: [] };
-      }
       console.error(`Error fetching game log for player ${nhlPlayerId}:`, error.message);
       return null;
     }
@@ -46,9 +66,7 @@ class NHLApiService {
    */
   async getPlayerInfo(nhlPlayerId) {
     try {
-      const url = `${NHL_API_BASE}/player/${nhlPlayerId}/landing`;
-      const response = await axios.get(url);
-      return response.data;
+      return await this.provider.getPlayerInfo(nhlPlayerId);
     } catch (error) {
       console.error(`Error fetching player info for ${nhlPlayerId}:`, error.message);
       return null;
@@ -56,184 +74,778 @@ class NHLApiService {
   }
 
   /**
-   * Determine playoff round from game data
-   * NHL game IDs follow pattern: YYYYPPGGGN where PP is playoff round
-   * Round 1: 0411-0417, Round 2: 0421-0427, Conf Finals: 0431-0437, Cup Final: 0441-0447
+   * Regular-season NHL totals for this season from a player landing payload.
+   * Rows for each team a traded player played for are added together.
+   */
+  parseRegularSeason(info) {
+    const rows = (info?.seasonTotals || []).filter(s =>
+      String(s.season) === this.season && s.gameTypeId === 2 && s.leagueAbbrev === 'NHL');
+
+    const gamesPlayed = rows.reduce((sum, s) => sum + (s.gamesPlayed || 0), 0);
+    const sum = (field) => rows.reduce((total, s) => total + (s[field] || 0), 0);
+    const savePctGames = rows.filter(s => s.savePctg != null);
+    const savePctWeight = savePctGames.reduce((sum, s) => sum + (s.gamesPlayed || 0), 0);
+
+    return {
+      gamesPlayed,
+      goals: sum('goals'),
+      assists: sum('assists'),
+      points: rows.reduce((total, s) => total + (s.points ?? (s.goals || 0) + (s.assists || 0)), 0),
+      wins: sum('wins'),
+      shutouts: sum('shutouts'),
+      savePct: savePctWeight > 0
+        ? savePctGames.reduce((sum, s) => sum + s.savePctg * (s.gamesPlayed || 0), 0) / savePctWeight
+        : null
+    };
+  }
+
+  /**
+   * Regular-season totals for many players, keyed by NHL ID.
+   * Players whose landing page cannot be fetched are left out.
+   */
+  async getRegularSeasonStats(nhlIds) {
+    const stats = new Map();
+    await mapWithConcurrency(nhlIds, this.concurrency, async (nhlId) => {
+      const info = await this.getPlayerInfo(nhlId);
+      if (info) stats.set(nhlId, this.parseRegularSeason(info));
+    });
+    return stats;
+  }
+
+  /**
+   * Store regular-season totals for active players who have none for this season yet.
+   * They are fixed once the playoffs start, so each player is fetched once. Returns the number stored.
+   */
+  async updateSeasonStats() {
+    const playersResult = await pool.query(`
+      SELECT p.id, p.nhl_id FROM players p
+      WHERE p.is_active = true
+        AND NOT EXISTS (SELECT 1 FROM player_season_stats s WHERE s.player_id = p.id AND s.season = $1)
+    `, [this.season]);
+    if (playersResult.rows.length === 0) return 0;
+
+    const stats = await this.getRegularSeasonStats(playersResult.rows.map(p => p.nhl_id));
+    const rows = playersResult.rows.filter(p => stats.has(p.nhl_id)).map(p => ({ player_id: p.id, ...stats.get(p.nhl_id) }));
+
+    await pool.query(`
+      INSERT INTO player_season_stats (player_id, season, games_played, goals, assists, wins, shutouts)
+      SELECT s.player_id, $1, s."gamesPlayed", s.goals, s.assists, s.wins, s.shutouts
+      FROM jsonb_to_recordset($2::jsonb) AS s(player_id UUID, "gamesPlayed" INT, goals INT, assists INT, wins INT, shutouts INT)
+      ON CONFLICT (player_id, season) DO UPDATE SET
+        games_played = EXCLUDED.games_played, goals = EXCLUDED.goals, assists = EXCLUDED.assists,
+        wins = EXCLUDED.wins, shutouts = EXCLUDED.shutouts, updated_at = NOW()
+    `, [this.season, JSON.stringify(rows)]);
+
+    return rows.length;
+  }
+
+  /**
+   * NHL playoff round encoded in a game ID, for games whose series is not in the bracket yet.
+   * Playoff game IDs end in RRSG: round (01-04), series and game number, e.g. 2025030213 is round 2.
    */
-  determineRound(gameId) {
-    const gameIdStr = String(gameId);
-    if (gameIdStr.length < 4) return 1;
-    
-    const roundCode = parseInt(gameIdStr.slice(-4, -2));
-    
-    if (roundCode >= 11 && roundCode <= 17) return 1;
-    if (roundCode >= 21 && roundCode <= 27) return 2;
-    if (roundCode >= 31 && roundCode <= 47) return 3; // Conf Finals + Cup Final = Round 3
-    
-    return 1; // Default to round 1
+  playoffRoundFromGameId(gameId) {
+    const round = parseInt(String(gameId).slice(-4, -2));
+    return round >= 1 && round <= rounds.playoffRounds ? round : 1;
   }
 
   /**
-   * Parse game log into per-round stats
+   * NHL playoff round of each series this season, keyed by its two teams (sorted and joined with ':').
+   * Two teams meet at most once in a playoff year, so the pair identifies the series.
    */
-  parseGameLogStats(gameLog, isGoalie = false) {
-    const stats = {
-      1: { goals: 0, assists: 0, wins: 0, shutouts: 0, gamesPlayed: 0 },
-      2: { goals: 0, assists: 0, wins: 0, shutouts: 0, gamesPlayed: 0 },
-      3: { goals: 0, assists: 0, wins: 0, shutouts: 0, gamesPlayed: 0 }
+  async getSeriesRounds() {
+    const result = await pool.query(`
+      SELECT round, top_seed_abbrev, bottom_seed_abbrev
+      FROM series
+      WHERE season = $1 AND top_seed_abbrev IS NOT NULL AND bottom_seed_abbrev IS NOT NULL
+    `, [this.season]);
+
+    return new Map(result.rows.map(r => [[r.top_seed_abbrev, r.bottom_seed_abbrev].sort().join(':'), r.round]));
+  }
+
+  /**
+   * Function mapping a game (gameId and its two teams) to the scoring round it counts toward.
+   * The NHL round comes from the teams' series in the bracket, falling back to the game ID;
+   * rounds.scoringRoundFor folds it into the pool's rounds.
+   */
+  async getRoundResolver() {
+    const [seriesRounds, roundNumbers] = await Promise.all([this.getSeriesRounds(), rounds.getRoundNumbers()]);
+
+    return (gameId, team, opponent) => {
+      const playoffRound = (team && opponent && seriesRounds.get([team, opponent].sort().join(':')))
+        || this.playoffRoundFromGameId(gameId);
+      return rounds.scoringRoundFor(playoffRound, roundNumbers);
     };
+  }
 
+  /**
+   * Parse game log into one row per game, with the scoring round from a getRoundResolver function
+   */
+  parseGameLog(gameLog, roundFor) {
     if (!gameLog?.gameLog || !Array.isArray(gameLog.gameLog)) {
-      return stats;
+      return [];
     }
 
-    for (const game of gameLog.gameLog) {
-      const round = this.determineRound(game.gameId);
-      
-      if (isGoalie) {
-        // Goalie stats
-        if (game.decision === 'W') {
-          stats[round].wins += 1;
-        }
-        if (game.shutouts) {
-          stats[round].shutouts += game.shutouts;
-        }
-        // Check for shutout by goals against
-        if (game.goalsAgainst === 0 && game.decision === 'W') {
-          stats[round].shutouts = Math.max(stats[round].shutouts, 1);
+    return gameLog.gameLog.map(game => ({
+      nhlGameId: game.gameId,
+      round: roundFor(game.gameId, game.teamAbbrev, game.opponentAbbrev),
+      gameDate: game.gameDate,
+      teamAbbrev: game.teamAbbrev || null,
+      opponentAbbrev: game.opponentAbbrev || null,
+      homeRoad: game.homeRoadFlag || null,
+      goals: game.goals || 0,
+      assists: game.assists || 0,
+      shots: game.shots || 0,
+      pim: game.pim || 0,
+      plusMinus: game.plusMinus || 0,
+      toi: game.toi || null,
+      decision: game.decision || null,
+      // Not every payload sets shutouts; a win with no goals against is one
+      shutouts: game.shutouts || (game.decision === 'W' && game.goalsAgainst === 0 ? 1 : 0),
+      goalsAgainst: game.goalsAgainst ?? null,
+      shotsAgainst: game.shotsAgainst ?? null
+    }));
+  }
+
+  /**
+   * Store a player's full game log and rebuild their round totals.
+   * Games the NHL no longer reports are removed, so corrections replace old values.
+   */
+  async saveGameLog(playerId, games, { logId = null } = {}) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const game of games) {
+        await client.query(`
+          INSERT INTO player_game_stats (
+            player_id, nhl_game_id, round, game_date, team_abbrev, opponent_abbrev, home_road,
+            goals, assists, shots, pim, plus_minus, toi, decision, shutouts, goals_against, shots_against, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW())
+          ON CONFLICT (player_id, nhl_game_id)
+          DO UPDATE SET
+            round = EXCLUDED.round,
+            game_date = EXCLUDED.game_date,
+            team_abbrev = EXCLUDED.team_abbrev,
+            opponent_abbrev = EXCLUDED.opponent_abbrev,
+            home_road = EXCLUDED.home_road,
+            goals = EXCLUDED.goals,
+            assists = EXCLUDED.assists,
+            shots = EXCLUDED.shots,
+            pim = EXCLUDED.pim,
+            plus_minus = EXCLUDED.plus_minus,
+            toi = EXCLUDED.toi,
+            decision = EXCLUDED.decision,
+            shutouts = EXCLUDED.shutouts,
+            goals_against = EXCLUDED.goals_against,
+            shots_against = EXCLUDED.shots_against,
+            updated_at = NOW()
+        `, [
+          playerId, game.nhlGameId, game.round, game.gameDate, game.teamAbbrev, game.opponentAbbrev, game.homeRoad,
+          game.goals, game.assists, game.shots, game.pim, game.plusMinus, game.toi, game.decision,
+          game.shutouts, game.goalsAgainst, game.shotsAgainst
+        ]);
+      }
+
+      await client.query(`
+        DELETE FROM player_game_stats
+        WHERE player_id = $1 AND NOT (nhl_game_id = ANY($2::bigint[]))
+      `, [playerId, games.map(g => g.nhlGameId)]);
+
+      await this.recomputeRoundTotals(playerId, client, { source: this.provider.name, logId });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rebuild player_stats round totals from player_game_stats, with admin overrides applied.
+   * Pass a playerId to rebuild one player, or null for every player.
+   * Every total that changes is recorded in stat_changes for admin review;
+   * pass reviewedBy to record them as already approved by that user.
+   */
+  async recomputeRoundTotals(playerId = null, db = pool, { source = 'recompute', logId = null, reviewedBy = null } = {}) {
+    // All parts of the statement see the same snapshot, so previous still holds the old totals
+    const result = await db.query(`
+      WITH previous AS (
+        SELECT player_id, round, goals, assists, wins, shutouts, games_played
+        FROM player_stats
+        WHERE $1::uuid IS NULL OR player_id = $1::uuid
+      ),
+      upserted AS (
+        INSERT INTO player_stats (player_id, round, goals, assists, wins, shutouts, games_played, updated_at)
+        SELECT
+          t.player_id,
+          t.round,
+          COALESCE(o.goals, t.goals),
+          COALESCE(o.assists, t.assists),
+          COALESCE(o.wins, t.wins),
+          COALESCE(o.shutouts, t.shutouts),
+          t.games_played,
+          NOW()
+        FROM (
+          SELECT
+            p.id AS player_id,
+            r.round,
+            COALESCE(SUM(g.goals), 0) AS goals,
+            COALESCE(SUM(g.assists), 0) AS assists,
+            COUNT(*) FILTER (WHERE g.decision = 'W') AS wins,
+            COALESCE(SUM(g.shutouts), 0) AS shutouts,
+            COUNT(g.id) AS games_played
+          FROM players p
+          CROSS JOIN (SELECT round_number AS round FROM rounds WHERE round_number >= 1) r
+          LEFT JOIN ${overrides.gameStatsSource()} g ON g.player_id = p.id AND g.round = r.round
+          WHERE $1::uuid IS NULL OR p.id = $1::uuid
+          GROUP BY p.id, r.round
+        ) t
+        LEFT JOIN ${overrides.roundOverridesSource()} o ON o.player_id = t.player_id AND o.round = t.round
+        ON CONFLICT (player_id, round)
+        DO UPDATE SET
+          goals = EXCLUDED.goals,
+          assists = EXCLUDED.assists,
+          wins = EXCLUDED.wins,
+          shutouts = EXCLUDED.shutouts,
+          games_played = EXCLUDED.games_played,
+          updated_at = NOW()
+        RETURNING player_id, round, goals, assists, wins, shutouts, games_played
+      ),
+      changes AS (
+        INSERT INTO stat_changes (player_id, round, field, old_value, new_value, source, update_log_id, status, reviewed_by, reviewed_at)
+        SELECT
+          u.player_id, u.round, f.field, f.old_value, f.new_value, $2, $3::int,
+          CASE WHEN $4::uuid IS NULL THEN 'pending' ELSE 'approved' END,
+          $4::uuid,
+          CASE WHEN $4::uuid IS NULL THEN NULL ELSE NOW() END
+        FROM upserted u
+        LEFT JOIN previous o ON o.player_id = u.player_id AND o.round = u.round
+        CROSS JOIN LATERAL (VALUES
+          ('goals', o.goals, u.goals),
+          ('assists', o.assists, u.assists),
+          ('wins', o.wins, u.wins),
+          ('shutouts', o.shutouts, u.shutouts),
+          ('games_played', o.games_played, u.games_played)
+        ) AS f(field, old_value, new_value)
+        WHERE f.old_value IS DISTINCT FROM f.new_value
+          AND NOT (f.old_value IS NULL AND f.new_value = 0)
+        RETURNING id
+      )
+      SELECT
+        (SELECT COUNT(*) FROM upserted)::int AS rows_updated,
+        (SELECT COUNT(*) FROM changes)::int AS changes
+    `, [playerId, source, logId, reviewedBy]);
+
+    return result.rows[0].rows_updated;
+  }
+
+  /**
+   * Move stored games (and their game overrides) to the scoring round they map to now, after rounds are
+   * added or removed or a game's series reaches the bracket, then rebuild round totals if any moved.
+   * Totals of rounds that no longer exist are dropped. Returns the number of games moved.
+   */
+  async remapGameRounds() {
+    const roundFor = await this.getRoundResolver();
+    const gamesResult = await pool.query(`
+      SELECT DISTINCT ON (nhl_game_id) nhl_game_id, round, team_abbrev, opponent_abbrev
+      FROM player_game_stats
+    `);
+    const moved = gamesResult.rows
+      .map(g => ({ nhlGameId: g.nhl_game_id, from: g.round, to: roundFor(g.nhl_game_id, g.team_abbrev, g.opponent_abbrev) }))
+      .filter(g => g.to !== g.from);
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const game of moved) {
+        await client.query('UPDATE player_game_stats SET round = $2 WHERE nhl_game_id = $1', [game.nhlGameId, game.to]);
+        await client.query('UPDATE stat_overrides SET round = $2 WHERE nhl_game_id = $1', [game.nhlGameId, game.to]);
+      }
+      await client.query(`
+        DELETE FROM player_stats WHERE round NOT IN (SELECT round_number FROM rounds WHERE round_number >= 1)
+      `);
+      if (moved.length > 0) {
+        await this.recomputeRoundTotals(null, client);
+      }
+
+      await client.query('COMMIT');
+      return moved.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Flatten a schedule payload into one row per game
+   */
+  parseSchedule(schedule) {
+    if (!schedule?.gameWeek || !Array.isArray(schedule.gameWeek)) {
+      return [];
+    }
+
+    return schedule.gameWeek.flatMap(day => (day.games || []).map(game => ({
+      nhlGameId: game.id,
+      gameDate: day.date,
+      gameType: String(game.gameType),
+      state: game.gameState,
+      startTime: game.startTimeUTC || null,
+      homeAbbrev: game.homeTeam?.abbrev || null,
+      awayAbbrev: game.awayTeam?.abbrev || null
+    })));
+  }
+
+  /**
+   * Record when each team's first game of a round starts, for per-game player locks.
+   * A team's start only moves when its recorded game is rescheduled or an earlier game appears.
+   */
+  async updateRoundStarts() {
+    let schedule;
+    try {
+      schedule = await this.provider.getSchedule();
+    } catch (error) {
+      console.error('Error fetching schedule for round starts:', error.message);
+      return;
+    }
+
+    const roundFor = await this.getRoundResolver();
+    const starts = new Map();
+    for (const game of this.parseSchedule(schedule)) {
+      if (game.gameType !== this.gameType || !game.startTime) continue;
+      const round = roundFor(game.nhlGameId, game.homeAbbrev, game.awayAbbrev);
+      for (const team of [game.homeAbbrev, game.awayAbbrev].filter(Boolean)) {
+        const key = `${team}:${round}`;
+        if (!starts.has(key) || game.startTime < starts.get(key).startTime) {
+          starts.set(key, { team, round, nhlGameId: game.nhlGameId, startTime: game.startTime });
         }
-      } else {
-        // Skater stats
-        stats[round].goals += game.goals || 0;
-        stats[round].assists += game.assists || 0;
       }
-      
-      stats[round].gamesPlayed += 1;
     }
 
-    return stats;
+    for (const start of starts.values()) {
+      await pool.query(`
+        INSERT INTO team_round_starts (team_abbrev, round, nhl_game_id, starts_at)
+        SELECT $1, $2, $3, $4 WHERE EXISTS (SELECT 1 FROM teams WHERE abbrev = $1)
+        ON CONFLICT (team_abbrev, round) DO UPDATE
+        SET nhl_game_id = EXCLUDED.nhl_game_id, starts_at = EXCLUDED.starts_at, updated_at = NOW()
+        WHERE team_round_starts.nhl_game_id = EXCLUDED.nhl_game_id OR EXCLUDED.starts_at < team_round_starts.starts_at
+      `, [start.team, start.round, start.nhlGameId, start.startTime]);
+    }
   }
 
   /**
-   * Fetch and update stats for all players in database
+   * Finished playoff games in the recent schedule whose players have not been refetched yet
    */
-  async updateAllPlayerStats() {
-    const logId = await this.startUpdateLog();
+  async getUnfetchedGames() {
+    // A replayed schedule looks back from the replay date; with no date it is replayed in full
+    const now = this.provider.now();
+    const start = now && new Date(now.getTime() - SCHEDULE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const schedule = await this.provider.getSchedule(start);
+    const finished = this.parseSchedule(schedule)
+      .filter(g => g.gameType === this.gameType && FINISHED_GAME_STATES.includes(g.state));
+
+    if (finished.length === 0) return [];
+
+    const fetched = await pool.query(`
+      SELECT nhl_game_id FROM stats_fetched_games WHERE nhl_game_id = ANY($1::bigint[])
+    `, [finished.map(g => g.nhlGameId)]);
+    const fetchedIds = new Set(fetched.rows.map(r => String(r.nhl_game_id)));
+
+    return finished.filter(g => !fetchedIds.has(String(g.nhlGameId)));
+  }
+
+  async markGamesFetched(games) {
+    for (const game of games) {
+      await pool.query(`
+        INSERT INTO stats_fetched_games (nhl_game_id, game_date, home_abbrev, away_abbrev)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (nhl_game_id) DO UPDATE SET fetched_at = NOW()
+      `, [game.nhlGameId, game.gameDate, game.homeAbbrev, game.awayAbbrev]);
+    }
+  }
+
+  /**
+   * Fetch and store one player's game log, mapping games to rounds with roundFor (from getRoundResolver).
+   * Returns false when the log is unchanged since the last fetch.
+   */
+  async updatePlayerStats(player, { full = false, logId = null, roundFor }) {
+    const etag = full ? null : this.gameLogEtags.get(player.nhl_id);
+    const gameLog = await this.provider.getPlayerGameLog(player.nhl_id, { etag });
+
+    if (gameLog.notModified) {
+      return false;
+    }
+
+    await this.saveGameLog(player.id, this.parseGameLog(gameLog, roundFor), { logId });
+    if (gameLog.etag) {
+      this.gameLogEtags.set(player.nhl_id, gameLog.etag);
+    }
+    return true;
+  }
+
+  /**
+   * Fetch and update player stats.
+   * By default only players on teams that finished a game since the last run are
+   * fetched; pass full to refetch every active player. Progress is written to the
+   * given stat_update_log row as players are processed.
+   */
+  async updateAllPlayerStats(logId, { full = false } = {}) {
     let playersUpdated = 0;
+    let playersProcessed = 0;
     const errors = [];
 
     try {
-      // Get all active players from database
-      const playersResult = await pool.query(`
-        SELECT id, nhl_id, position FROM players WHERE is_active = true
-      `);
+      let games = [];
+      try {
+        games = await this.getUnfetchedGames();
+      } catch (scheduleError) {
+        if (!full) {
+          errors.push(`Schedule unavailable, falling back to a full refresh: ${scheduleError.message}`);
+          full = true;
+        }
+      }
 
-      console.log(`Fetching stats for ${playersResult.rows.length} players...`);
+      const teams = [...new Set(games.flatMap(g => [g.homeAbbrev, g.awayAbbrev]).filter(Boolean))];
 
-      for (const player of playersResult.rows) {
+      // Get the players to refresh from database
+      const playersResult = full
+        ? await pool.query(`SELECT id, nhl_id, team_abbrev, position FROM players WHERE is_active = true`)
+        : await pool.query(`
+            SELECT id, nhl_id, team_abbrev, position FROM players
+            WHERE is_active = true AND team_abbrev = ANY($1)
+          `, [teams]);
+
+      const roundFor = await this.getRoundResolver();
+      const playersTotal = playersResult.rows.length;
+      console.log(`Fetching stats for ${playersTotal} players from ${this.provider.name} (${full ? 'full refresh' : `${games.length} new games`})...`);
+      await this.updateProgress(logId, { playersTotal, playersProcessed, playersUpdated, errors });
+
+      const failedTeams = new Set();
+
+      await mapWithConcurrency(playersResult.rows, this.concurrency, async (player) => {
         try {
-          const isGoalie = player.position === 'goalie';
-          const gameLog = await this.getPlayerGameLog(player.nhl_id);
-          
-          if (gameLog) {
-            const stats = this.parseGameLogStats(gameLog, isGoalie);
-            
-            // Update stats for each round
-            for (const round of [1, 2, 3]) {
-              await pool.query(`
-                INSERT INTO player_stats (player_id, round, goals, assists, wins, shutouts, games_played, updated_at)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-                ON CONFLICT (player_id, round) 
-                DO UPDATE SET 
-                  goals = $3,
-                  assists = $4,
-                  wins = $5,
-                  shutouts = $6,
-                  games_played = $7,
-                  updated_at = NOW()
-              `, [
-                player.id,
-                round,
-                stats[round].goals,
-                stats[round].assists,
-                stats[round].wins,
-                stats[round].shutouts,
-                stats[round].gamesPlayed
-              ]);
-            }
-            
+          if (await this.updatePlayerStats(player, { full, logId, roundFor })) {
             playersUpdated++;
           }
-
-          // Small delay to avoid rate limiting
-          await this.sleep(100);
-          
         } catch (playerError) {
+          failedTeams.add(player.team_abbrev);
           errors.push(`Player ${player.nhl_id}: ${playerError.message}`);
           console.error(`Error updating player ${player.nhl_id}:`, playerError.message);
         }
-      }
+
+        playersProcessed++;
+        if (playersProcessed % 10 === 0) {
+          await this.updateProgress(logId, { playersTotal, playersProcessed, playersUpdated, errors });
+        }
+      });
+
+      await this.updateProgress(logId, { playersTotal, playersProcessed, playersUpdated, errors });
+
+      // Games with a failed player stay unfetched so the next run retries them
+      await this.markGamesFetched(games.filter(g => !failedTeams.has(g.homeAbbrev) && !failedTeams.has(g.awayAbbrev)));
 
       // Update settings
       await pool.query(`
         UPDATE settings SET value = $1, updated_at = NOW() WHERE key = 'stats_last_updated'
       `, [JSON.stringify(new Date().toISOString())]);
 
-      await pool.query(`
-        UPDATE settings SET value = 'true', updated_at = NOW() WHERE key = 'stats_verified'
-      `);
+      // Verified only once admins have reviewed every stat change
+      await statChanges.refreshVerified();
 
-      await this.completeUpdateLog(logId, playersUpdated, errors);
-      
       console.log(`✓ Stats update complete: ${playersUpdated} players updated`);
       return { success: true, playersUpdated, errors };
 
     } catch (error) {
       errors.push(`Fatal error: ${error.message}`);
-      await this.completeUpdateLog(logId, playersUpdated, errors, 'failed');
       console.error('Stats update failed:', error);
       return { success: false, playersUpdated, errors };
     }
   }
 
   /**
-   * Update eliminated teams based on playoff results
+   * Parse playoff-bracket payload into one row per series
+   */
+  parseBracket(bracket) {
+    if (!bracket?.series || !Array.isArray(bracket.series)) {
+      return [];
+    }
+
+    return bracket.series
+      .filter(s => s.seriesLetter && s.playoffRound)
+      .map(s => {
+        const top = s.topSeedTeam || null;
+        const bottom = s.bottomSeedTeam || null;
+        const topWins = s.topSeedWins || 0;
+        const bottomWins = s.bottomSeedWins || 0;
+        const winsNeeded = s.neededToWin || 4;
+
+        let winner = null;
+        if (s.winningTeamId) {
+          winner = [top, bottom].find(t => t?.id === s.winningTeamId)?.abbrev || null;
+        } else if (topWins >= winsNeeded) {
+          winner = top?.abbrev || null;
+        } else if (bottomWins >= winsNeeded) {
+          winner = bottom?.abbrev || null;
+        }
+
+        let status = 'pending';
+        if (winner) status = 'complete';
+        else if (topWins + bottomWins > 0) status = 'in_progress';
+
+        return {
+          seriesLetter: s.seriesLetter,
+          round: s.playoffRound,
+          title: s.seriesTitle || null,
+          topSeedAbbrev: top?.abbrev || null,
+          topSeedRank: s.topSeedRankAbbrev || null,
+          topSeedWins: topWins,
+          bottomSeedAbbrev: bottom?.abbrev || null,
+          bottomSeedRank: s.bottomSeedRankAbbrev || null,
+          bottomSeedWins: bottomWins,
+          status,
+          winnerAbbrev: winner
+        };
+      });
+  }
+
+  /**
+   * Import the playoff bracket into the series table and derive eliminations.
+   * Only teams that appear in the bracket are touched: the loser of each
+   * completed series is eliminated, every other bracket team is not.
    */
-  async updateEliminatedTeams() {
+  async updateBracket() {
+    let bracket;
     try {
-      // Fetch current playoff bracket/standings
-      const response = await axios.get(`${NHL_API_BASE}/playoff-bracket/${this.season}`);
-      const bracket = response.data;
-
-      if (!bracket?.series) return;
-
-      for (const series of bracket.series) {
-        if (series.winningTeamId && series.losingTeamId) {
-          // Mark losing team as eliminated
-          const losingTeam = series.bottomSeed?.abbrev || series.topSeed?.abbrev;
-          const round = series.round;
-          
-          if (losingTeam) {
-            await pool.query(`
-              UPDATE teams 
-              SET is_eliminated = true, eliminated_round = $1 
-              WHERE abbrev = $2
-            `, [round, losingTeam]);
-          }
+      bracket = await this.provider.getPlayoffBracket();
+    } catch (error) {
+      console.error('Error fetching playoff bracket:', error.message);
+      return;
+    }
+
+    const series = this.parseBracket(bracket);
+    if (series.length === 0) return;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const s of series) {
+        await client.query(`
+          INSERT INTO series (
+            season, series_letter, round, title, top_seed_abbrev, top_seed_rank, top_seed_wins,
+            bottom_seed_abbrev, bottom_seed_rank, bottom_seed_wins, status, winner_abbrev
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          ON CONFLICT (season, series_letter)
+          DO UPDATE SET
+            round = EXCLUDED.round,
+            title = EXCLUDED.title,
+            top_seed_abbrev = EXCLUDED.top_seed_abbrev,
+            top_seed_rank = EXCLUDED.top_seed_rank,
+            top_seed_wins = EXCLUDED.top_seed_wins,
+            bottom_seed_abbrev = EXCLUDED.bottom_seed_abbrev,
+            bottom_seed_rank = EXCLUDED.bottom_seed_rank,
+            bottom_seed_wins = EXCLUDED.bottom_seed_wins,
+            status = EXCLUDED.status,
+            winner_abbrev = EXCLUDED.winner_abbrev
+        `, [
+          this.season, s.seriesLetter, s.round, s.title, s.topSeedAbbrev, s.topSeedRank, s.topSeedWins,
+          s.bottomSeedAbbrev, s.bottomSeedRank, s.bottomSeedWins, s.status, s.winnerAbbrev
+        ]);
+      }
+
+      await client.query(`
+        WITH bracket_teams AS (
+          SELECT top_seed_abbrev AS abbrev FROM series WHERE season = $1 AND top_seed_abbrev IS NOT NULL
+          UNION
+          SELECT bottom_seed_abbrev FROM series WHERE season = $1 AND bottom_seed_abbrev IS NOT NULL
+        ),
+        losers AS (
+          SELECT
+            CASE WHEN winner_abbrev = top_seed_abbrev THEN bottom_seed_abbrev ELSE top_seed_abbrev END AS abbrev,
+            round
+          FROM series
+          WHERE season = $1 AND status = 'complete'
+        )
+        UPDATE teams t
+        SET is_eliminated = l.abbrev IS NOT NULL,
+            eliminated_round = l.round
+        FROM bracket_teams b
+        LEFT JOIN losers l ON l.abbrev = b.abbrev
+        WHERE t.abbrev = b.abbrev
+      `, [this.season]);
+
+      await client.query('COMMIT');
+      console.log(`✓ Playoff bracket updated (${series.length} series)`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error updating playoff bracket:', error.message);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Flatten a team roster payload into one row per player
+   */
+  parseRoster(roster, teamAbbrev) {
+    if (!roster) return [];
+
+    return ['forwards', 'defensemen', 'goalies']
+      .flatMap(group => roster[group] || [])
+      .filter(p => p.id && ROSTER_POSITIONS[p.positionCode])
+      .map(p => ({
+        nhlId: p.id,
+        name: `${p.firstName?.default || ''} ${p.lastName?.default || ''}`.trim(),
+        team: teamAbbrev,
+        position: ROSTER_POSITIONS[p.positionCode]
+      }));
+  }
+
+  /**
+   * Sync the player pool with the current NHL rosters of every team qualified for a round.
+   * Players are matched by NHL ID; new players get the default cost until priced.
+   * Players on an imported team who are no longer on its roster are deactivated.
+   * Teams whose roster could not be fetched are left untouched and reported in errors.
+   */
+  async importRosters(round) {
+    const teamsResult = await pool.query(`
+      SELECT team_abbrev FROM team_qualifications
+      WHERE round_number = $1 AND qualified = true
+      ORDER BY team_abbrev
+    `, [round]);
+    const teams = teamsResult.rows.map(r => r.team_abbrev);
+
+    const report = { round, teams: [], added: [], updated: [], deactivated: [], errors: [] };
+    if (teams.length === 0) return report;
+
+    const imported = [];
+    await mapWithConcurrency(teams, this.concurrency, async (team) => {
+      try {
+        const players = this.parseRoster(await this.provider.getTeamRoster(team), team);
+        if (players.length === 0) {
+          report.errors.push({ team, error: 'No roster returned' });
+          return;
+        }
+        report.teams.push(team);
+        imported.push(...players);
+      } catch (error) {
+        report.errors.push({ team, error: error.message });
+      }
+    });
+    report.teams.sort();
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const existingResult = await client.query(`
+        SELECT id, nhl_id, name, team_abbrev, position, is_active FROM players
+      `);
+      const existing = new Map(existingResult.rows.map(p => [p.nhl_id, p]));
+
+      // A player listed by two teams (e.g. mid-import trade) is taken once
+      const unique = [...new Map(imported.map(p => [p.nhlId, p])).values()];
+
+      for (const player of unique) {
+        const current = existing.get(player.nhlId);
+
+        if (!current) {
+          await client.query(`
+            INSERT INTO players (nhl_id, name, team_abbrev, position, cost)
+            VALUES ($1, $2, $3, $4, $5)
+          `, [player.nhlId, player.name, player.team, player.position, IMPORT_DEFAULT_COST]);
+          report.added.push(player);
+          continue;
         }
+
+        const changes = {};
+        if (current.name !== player.name) changes.name = [current.name, player.name];
+        if (current.team_abbrev !== player.team) changes.team = [current.team_abbrev, player.team];
+        if (current.position !== player.position) changes.position = [current.position, player.position];
+        if (!current.is_active) changes.isActive = [false, true];
+        if (Object.keys(changes).length === 0) continue;
+
+        await client.query(`
+          UPDATE players
+          SET name = $2, team_abbrev = $3, position = $4, is_active = true, updated_at = NOW()
+          WHERE id = $1
+        `, [current.id, player.name, player.team, player.position]);
+        report.updated.push({ ...player, changes });
       }
 
-      console.log('✓ Eliminated teams updated');
+      const deactivatedResult = await client.query(`
+        UPDATE players
+        SET is_active = false, updated_at = NOW()
+        WHERE is_active = true AND team_abbrev = ANY($1) AND NOT (nhl_id = ANY($2::int[]))
+        RETURNING nhl_id, name, team_abbrev, position
+      `, [report.teams, imported.map(p => p.nhlId)]);
+      report.deactivated = deactivatedResult.rows.map(p => ({
+        nhlId: p.nhl_id, name: p.name, team: p.team_abbrev, position: p.position
+      }));
+
+      await client.query('COMMIT');
+      console.log(`✓ Player pool imported for round ${round}: ${report.added.length} added, ${report.updated.length} updated, ${report.deactivated.length} deactivated`);
+      return report;
     } catch (error) {
-      console.error('Error updating eliminated teams:', error.message);
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
   }
 
-  async startUpdateLog() {
+  /**
+   * Open a stat_update_log row for a new run.
+   * Returns null if another run is still in progress.
+   */
+  async startUpdateLog({ trigger = 'scheduled', triggeredBy = null, full = false } = {}) {
+    // A run that never finished (e.g. the process died) stops blocking new ones after an hour
+    await pool.query(`
+      UPDATE stat_update_log
+      SET status = 'failed', completed_at = NOW(),
+          errors = array_append(COALESCE(errors, '{}'), 'Abandoned: did not finish within an hour')
+      WHERE status = 'running' AND started_at < NOW() - INTERVAL '1 hour'
+    `);
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO stat_update_log (status, trigger, triggered_by, full_refresh)
+        SELECT 'running', $1, $2::uuid, $3
+        WHERE NOT EXISTS (SELECT 1 FROM stat_update_log WHERE status = 'running')
+        RETURNING id
+      `, [trigger, triggeredBy, full]);
+
+      return result.rows[0]?.id || null;
+    } catch (error) {
+      // Another process started a run between the check and the insert (unique index on running runs)
+      if (error.code === '23505') return null;
+      throw error;
+    }
+  }
+
+  async getRunningUpdateLogId() {
     const result = await pool.query(`
-      INSERT INTO stat_update_log (status) VALUES ('running') RETURNING id
+      SELECT id FROM stat_update_log WHERE status = 'running' ORDER BY started_at DESC LIMIT 1
     `);
-    return result.rows[0].id;
+    return result.rows[0]?.id || null;
+  }
+
+  async updateProgress(logId, { playersTotal, playersProcessed, playersUpdated, errors }) {
+    await pool.query(`
+      UPDATE stat_update_log
+      SET players_total = $1, players_processed = $2, players_updated = $3, errors = $4
+      WHERE id = $5
+    `, [playersTotal, playersProcessed, playersUpdated, errors, logId]);
   }
 
   async completeUpdateLog(logId, playersUpdated, errors, status = 'completed') {
@@ -244,6 +856,46 @@ class NHLApiService {
     `, [playersUpdated, errors, status, logId]);
   }
 
+  formatUpdateLog(row) {
+    return {
+      id: row.id,
+      status: row.status,
+      trigger: row.trigger,
+      fullRefresh: row.full_refresh,
+      triggeredBy: row.triggered_by_username || null,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      playersTotal: row.players_total,
+      playersProcessed: row.players_processed || 0,
+      playersUpdated: row.players_updated || 0,
+      errors: row.errors || []
+    };
+  }
+
+  /**
+   * Recent stats update runs, newest first
+   */
+  async getUpdateLogs(limit = 20) {
+    const result = await pool.query(`
+      SELECT l.*, u.username as triggered_by_username
+      FROM stat_update_log l
+      LEFT JOIN users u ON u.id = l.triggered_by
+      ORDER BY l.started_at DESC
+      LIMIT $1
+    `, [limit]);
+    return result.rows.map(row => this.formatUpdateLog(row));
+  }
+
+  async getUpdateLog(logId) {
+    const result = await pool.query(`
+      SELECT l.*, u.username as triggered_by_username
+      FROM stat_update_log l
+      LEFT JOIN users u ON u.id = l.triggered_by
+      WHERE l.id = $1
+    `, [logId]);
+    return result.rows[0] ? this.formatUpdateLog(result.rows[0]) : null;
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -0,0 +1,145 @@
+const pool = require('../../config/database');
+
+const OVERRIDE_FIELDS = ['goals', 'assists', 'wins', 'shutouts'];
+
+// Active overrides pivoted to one row per player and round (round overrides) or game (game overrides)
+const pivotOverrides = (scope) => `
+  SELECT player_id, ${scope},
+    ${OVERRIDE_FIELDS.map(f => `MAX(value) FILTER (WHERE field = '${f}') AS ${f}`).join(',\n    ')}
+  FROM stat_overrides
+  WHERE cleared_at IS NULL AND nhl_game_id IS ${scope === 'nhl_game_id' ? 'NOT NULL' : 'NULL'}
+  GROUP BY player_id, ${scope}
+`;
+
+// player_game_stats with game overrides applied
+const GAME_STATS = `(
+  SELECT
+    g.id, g.player_id, g.nhl_game_id, g.round, g.game_date, g.team_abbrev, g.opponent_abbrev, g.home_road,
+    COALESCE(o.goals, g.goals) AS goals,
+    COALESCE(o.assists, g.assists) AS assists,
+    g.shots, g.pim, g.plus_minus, g.toi,
+    CASE WHEN o.wins IS NULL THEN g.decision WHEN o.wins > 0 THEN 'W' WHEN g.decision = 'W' THEN NULL ELSE g.decision END AS decision,
+    COALESCE(o.shutouts, g.shutouts) AS shutouts,
+    g.goals_against, g.shots_against,
+    o.player_id IS NOT NULL AS overridden
+  FROM player_game_stats g
+  LEFT JOIN (${pivotOverrides('nhl_game_id')}) o ON o.player_id = g.player_id AND o.nhl_game_id = g.nhl_game_id
+)`;
+
+// Active round overrides, one row per player and round
+const ROUND_OVERRIDES = `(${pivotOverrides('round')})`;
+
+class StatOverrideService {
+  /**
+   * Table expression to read per-game stats from, with game overrides applied.
+   * Adds an `overridden` column flagging corrected games.
+   */
+  gameStatsSource() {
+    return GAME_STATS;
+  }
+
+  /**
+   * Table expression of active round overrides (player_id, round, goals, assists, wins, shutouts);
+   * a NULL field has no override
+   */
+  roundOverridesSource() {
+    return ROUND_OVERRIDES;
+  }
+
+  formatOverride(row) {
+    return {
+      id: row.id,
+      playerId: row.player_id,
+      playerName: row.player_name,
+      team: row.team_abbrev,
+      round: row.round,
+      nhlGameId: row.nhl_game_id,
+      gameDate: row.game_date,
+      field: row.field,
+      value: row.value,
+      reason: row.reason,
+      createdBy: row.created_by_username || null,
+      createdAt: row.created_at,
+      clearedBy: row.cleared_by_username || null,
+      clearedAt: row.cleared_at
+    };
+  }
+
+  /**
+   * Active overrides, or every override including cleared ones
+   */
+  async list({ includeCleared = false } = {}) {
+    const result = await pool.query(`
+      SELECT
+        o.*, p.name as player_name, p.team_abbrev,
+        to_char(g.game_date, 'YYYY-MM-DD') as game_date,
+        cu.username as created_by_username, xu.username as cleared_by_username
+      FROM stat_overrides o
+      JOIN players p ON o.player_id = p.id
+      LEFT JOIN player_game_stats g ON g.player_id = o.player_id AND g.nhl_game_id = o.nhl_game_id
+      LEFT JOIN users cu ON o.created_by = cu.id
+      LEFT JOIN users xu ON o.cleared_by = xu.id
+      WHERE $1 OR o.cleared_at IS NULL
+      ORDER BY o.created_at DESC
+    `, [includeCleared]);
+
+    return result.rows.map(row => this.formatOverride(row));
+  }
+
+  /**
+   * Validate an override request against the scoring round numbers. Returns an error message or null.
+   */
+  validate({ playerId, round, nhlGameId, field, value, reason }, roundNumbers) {
+    if (!playerId) return 'playerId is required';
+    if (!OVERRIDE_FIELDS.includes(field)) return `field must be one of ${OVERRIDE_FIELDS.join(', ')}`;
+    if (!Number.isInteger(value) || value < 0) return 'value must be a non-negative whole number';
+    if (typeof reason !== 'string' || !reason.trim()) return 'A reason is required';
+    if (nhlGameId == null && !roundNumbers.includes(round)) return `Give either a round (${roundNumbers.join(', ')}) or an nhlGameId`;
+    return null;
+  }
+
+  /**
+   * Set an override, replacing any active one for the same stat.
+   * Game overrides take their round from the stored game. Returns null if the game is unknown.
+   */
+  async set(db, { playerId, round, nhlGameId = null, field, value, reason, userId }) {
+    if (nhlGameId != null) {
+      const gameResult = await db.query(`
+        SELECT round FROM player_game_stats WHERE player_id = $1 AND nhl_game_id = $2
+      `, [playerId, nhlGameId]);
+      if (gameResult.rows.length === 0) return null;
+      round = gameResult.rows[0].round;
+    }
+
+    await db.query(`
+      UPDATE stat_overrides
+      SET cleared_at = NOW(), cleared_by = $5
+      WHERE player_id = $1 AND round = $2 AND nhl_game_id IS NOT DISTINCT FROM $3::bigint AND field = $4
+        AND cleared_at IS NULL
+    `, [playerId, round, nhlGameId, field, userId]);
+
+    const result = await db.query(`
+      INSERT INTO stat_overrides (player_id, round, nhl_game_id, field, value, reason, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [playerId, round, nhlGameId, field, value, reason.trim(), userId]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Clear an active override. Returns the cleared row, or null if it was not active.
+   */
+  async clear(db, id, userId) {
+    const result = await db.query(`
+      UPDATE stat_overrides
+      SET cleared_at = NOW(), cleared_by = $2
+      WHERE id = $1 AND cleared_at IS NULL
+      RETURNING *
+    `, [id, userId]);
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new StatOverrideService();
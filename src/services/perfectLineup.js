@@ -0,0 +1,176 @@
+const pool = require('../../config/database');
+const scoring = require('./scoring');
+const statChanges = require('./statChanges');
+const rosterService = require('./rosters');
+const standingsService = require('./standings');
+
+class PerfectLineupService {
+  /**
+   * Best picks for one roster slot group (a position, within a conference when conferences are split): for each exact count of players
+   * and total cost, the highest-scoring choice with and without one of them as the star.
+   * Returns table[count][cost][starred] = { points, picks, star } or undefined.
+   */
+  solveSlot(players, limit, salaryCap, starMultiplier) {
+    const table = Array.from({ length: limit + 1 }, () => Array.from({ length: salaryCap + 1 }, () => [undefined, undefined]));
+    table[0][0][0] = { points: 0, picks: [], star: null };
+
+    for (const player of players) {
+      // Walk counts downwards so each player is used at most once
+      for (let count = limit - 1; count >= 0; count--) {
+        for (let cost = salaryCap - player.cost; cost >= 0; cost--) {
+          for (const starred of [0, 1]) {
+            const from = table[count][cost][starred];
+            if (!from) continue;
+
+            const options = [{ points: player.points, starred, star: from.star }];
+            if (!starred) options.push({ points: player.points * starMultiplier, starred: 1, star: player.id });
+
+            for (const option of options) {
+              const target = table[count + 1][cost + player.cost];
+              const points = from.points + option.points;
+              if (!target[option.starred] || points > target[option.starred].points) {
+                target[option.starred] = { points, picks: [...from.picks, player.id], star: option.star };
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return table[limit];
+  }
+
+  /**
+   * Highest-scoring complete roster under the cap, with starCount stars at most one per position.
+   * players: [{ id, conference, position, cost, points }]; groups: slot groups from rosterService.slotGroups.
+   * Returns { points, cost, picks, stars } or null.
+   */
+  solve(players, { salaryCap, groups, starCount, starMultiplier }) {
+    const positions = [...new Set(groups.map(g => g.position))];
+    // State: total cost and which positions already have their star, as a bitmask
+    let states = new Map([['0:0', { points: 0, cost: 0, mask: 0, picks: [], stars: {} }]]);
+
+    for (const group of groups) {
+      const { position } = group;
+      const bit = 1 << positions.indexOf(position);
+      const slot = this.solveSlot(
+        players.filter(p => rosterService.inSlotGroup(p, group)),
+        group.limit, salaryCap, starMultiplier
+      );
+
+      const next = new Map();
+      for (const state of states.values()) {
+        for (let cost = 0; cost + state.cost <= salaryCap; cost++) {
+          for (const starred of [0, 1]) {
+            const choice = slot[cost][starred];
+            if (!choice || (starred && state.mask & bit)) continue;
+
+            const mask = starred ? state.mask | bit : state.mask;
+            const key = `${state.cost + cost}:${mask}`;
+            const points = state.points + choice.points;
+            if (!next.has(key) || points > next.get(key).points) {
+              next.set(key, {
+                points,
+                cost: state.cost + cost,
+                mask,
+                picks: [...state.picks, ...choice.picks],
+                stars: starred ? { ...state.stars, [position]: choice.star } : state.stars
+              });
+            }
+          }
+        }
+      }
+      states = next;
+    }
+
+    // The roster must have exactly the round's number of stars
+    let best = null;
+    for (const state of states.values()) {
+      if (Object.keys(state.stars).length === starCount &&
+        (!best || state.points > best.points || (state.points === best.points && state.cost < best.cost))) {
+        best = state;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * The maximum-points roster for a round from its player stats so far, and how close each user came.
+   * Only players on teams playing in the round are considered, at the round's prices.
+   * Pass a groupId to score with the group's rules and compare its members.
+   */
+  async getPerfectLineup(round, { groupId = null } = {}) {
+    const rules = await scoring.getRules(groupId);
+    const statsSource = await statChanges.playerStatsSource();
+
+    const result = await pool.query(`
+      SELECT
+        p.id, p.name, p.team_abbrev, p.position, player_cost(p.id, $1) as cost, t.conference,
+        ps.goals, ps.assists, ps.wins, ps.shutouts
+      FROM players p
+      JOIN teams t ON p.team_abbrev = t.abbrev
+      LEFT JOIN ${statsSource} ps ON ps.player_id = p.id AND ps.round = $1
+      WHERE CASE
+        WHEN EXISTS (SELECT 1 FROM team_qualifications WHERE round_number = $1 AND qualified = true)
+          THEN EXISTS (
+            SELECT 1 FROM team_qualifications tq
+            WHERE tq.round_number = $1 AND tq.team_abbrev = p.team_abbrev AND tq.qualified = true
+          )
+        ELSE t.eliminated_round IS NULL OR t.eliminated_round >= $1
+      END
+    `, [round]);
+
+    const players = result.rows.map(p => ({
+      ...p,
+      points: scoring.playerPoints(p, p.position, false, rules)
+    }));
+
+    const settings = await rosterService.getRoundSettings(pool, round);
+    const best = this.solve(players, {
+      salaryCap: settings.salaryCap,
+      groups: rosterService.slotGroups(settings),
+      starCount: settings.starCount,
+      starMultiplier: rules.starMultiplier
+    });
+    if (!best) {
+      return { round, groupId, lineup: null, entries: [] };
+    }
+
+    const byId = new Map(players.map(p => [p.id, p]));
+    const starIds = Object.values(best.stars);
+    const lineup = {
+      points: best.points,
+      cost: best.cost,
+      salaryCap: settings.salaryCap,
+      players: best.picks.map(id => {
+        const player = byId.get(id);
+        const isStar = starIds.includes(id);
+        return {
+          id,
+          name: player.name,
+          team: player.team_abbrev,
+          position: player.position,
+          conference: player.conference,
+          cost: player.cost,
+          isStar,
+          points: isStar ? player.points * rules.starMultiplier : player.points
+        };
+      })
+    };
+
+    const standings = await standingsService.getLeaderboard({ groupId });
+    const entries = standings.map(e => {
+      const points = e[`r${round}_points`] || 0;
+      return {
+        userId: e.user_id,
+        username: e.username,
+        points,
+        percent: best.points > 0 ? Math.round(points * 1000 / best.points) / 10 : 0
+      };
+    }).sort((a, b) => b.points - a.points);
+
+    return { round, groupId, lineup, entries };
+  }
+}
+
+module.exports = new PerfectLineupService();
@@ -0,0 +1,319 @@
+const pool = require('../../config/database');
+const nhlApi = require('./nhlApi');
+const overrides = require('./overrides');
+
+const POSITIONS = ['forward', 'defense', 'goalie'];
+const MIN_COST = 1;
+const MAX_COST = 5;
+// Tier thresholds each position may use
+const TIER_METRICS = {
+  forward: ['minPointsPerGame'],
+  defense: ['minPointsPerGame'],
+  goalie: ['minWins', 'minSavePct']
+};
+
+// Used until an admin saves a pricing config. A player gets the highest tier whose every threshold they meet;
+// players below every tier cost MIN_COST.
+const DEFAULT_CONFIG = {
+  // Players with fewer games than this keep their current cost
+  minGamesPlayed: 10,
+  // When repricing after round 1, each playoff game counts as this many regular-season games
+  playoffWeight: 2,
+  tiers: {
+    forward: [
+      { cost: 5, minPointsPerGame: 1.1 },
+      { cost: 4, minPointsPerGame: 0.85 },
+      { cost: 3, minPointsPerGame: 0.6 },
+      { cost: 2, minPointsPerGame: 0.35 }
+    ],
+    defense: [
+      { cost: 5, minPointsPerGame: 0.8 },
+      { cost: 4, minPointsPerGame: 0.6 },
+      { cost: 3, minPointsPerGame: 0.4 },
+      { cost: 2, minPointsPerGame: 0.25 }
+    ],
+    goalie: [
+      { cost: 5, minWins: 35, minSavePct: 0.915 },
+      { cost: 4, minWins: 28, minSavePct: 0.908 },
+      { cost: 3, minWins: 20, minSavePct: 0.9 },
+      { cost: 2, minWins: 10 }
+    ]
+  }
+};
+
+class PricingService {
+  async getConfig() {
+    const result = await pool.query(`SELECT value FROM settings WHERE key = 'pricing_config'`);
+    return result.rows[0]?.value || DEFAULT_CONFIG;
+  }
+
+  /**
+   * Validate a pricing config. Returns an error message or null.
+   */
+  validateConfig({ minGamesPlayed, playoffWeight, tiers }) {
+    if (!Number.isInteger(minGamesPlayed) || minGamesPlayed < 0) {
+      return 'minGamesPlayed must be a non-negative whole number';
+    }
+    if (typeof playoffWeight !== 'number' || playoffWeight < 0) {
+      return 'playoffWeight must be a non-negative number';
+    }
+    if (!tiers || typeof tiers !== 'object') {
+      return 'tiers must map each position to a list of tiers';
+    }
+
+    for (const position of POSITIONS) {
+      if (!Array.isArray(tiers[position])) {
+        return `Tiers for ${position} must be a list`;
+      }
+      for (const tier of tiers[position]) {
+        if (!Number.isInteger(tier.cost) || tier.cost < MIN_COST || tier.cost > MAX_COST) {
+          return `Tier costs must be whole numbers from ${MIN_COST} to ${MAX_COST}`;
+        }
+        const metrics = Object.keys(tier).filter(k => k !== 'cost');
+        const unknown = metrics.find(k => !TIER_METRICS[position].includes(k));
+        if (unknown) {
+          return `Unknown ${position} threshold: ${unknown} (expected ${TIER_METRICS[position].join(' or ')})`;
+        }
+        if (metrics.some(k => typeof tier[k] !== 'number' || tier[k] < 0)) {
+          return 'Tier thresholds must be non-negative numbers';
+        }
+      }
+    }
+
+    return null;
+  }
+
+  async saveConfig(config) {
+    const { minGamesPlayed, playoffWeight, tiers } = config;
+    const value = { minGamesPlayed, playoffWeight, tiers };
+    await pool.query(`
+      INSERT INTO settings (key, value, updated_at) VALUES ('pricing_config', $1, NOW())
+      ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+    `, [JSON.stringify(value)]);
+    return value;
+  }
+
+  /**
+   * Cost of the highest tier whose every threshold the metrics meet
+   */
+  costFor(position, metrics, config) {
+    const meets = (tier) => {
+      if (tier.minPointsPerGame != null && !(metrics.pointsPerGame >= tier.minPointsPerGame)) return false;
+      if (tier.minWins != null && !(metrics.wins >= tier.minWins)) return false;
+      if (tier.minSavePct != null && !(metrics.savePct >= tier.minSavePct)) return false;
+      return true;
+    };
+
+    const tiers = [...(config.tiers[position] || [])].sort((a, b) => b.cost - a.cost);
+    return tiers.find(meets)?.cost || MIN_COST;
+  }
+
+  /**
+   * Playoff totals from rounds before the given one, keyed by player ID
+   */
+  async getPlayoffStats(beforeRound) {
+    const result = await pool.query(`
+      SELECT
+        player_id,
+        COUNT(*)::int AS games_played,
+        COALESCE(SUM(goals + assists), 0)::int AS points,
+        COUNT(*) FILTER (WHERE decision = 'W')::int AS wins,
+        SUM(goals_against)::int AS goals_against,
+        SUM(shots_against)::int AS shots_against
+      FROM ${overrides.gameStatsSource()} g
+      WHERE round < $1
+      GROUP BY player_id
+    `, [beforeRound]);
+
+    return new Map(result.rows.map(r => [r.player_id, r]));
+  }
+
+  /**
+   * Blend regular-season and playoff production into the metrics tiers are compared against
+   */
+  metricsFor(regular, playoff, config) {
+    const weight = playoff ? config.playoffWeight : 0;
+    const playoffGames = playoff?.games_played || 0;
+    const weightedGames = regular.gamesPlayed + weight * playoffGames;
+
+    let playoffSavePct = null;
+    if (playoff?.shots_against > 0) {
+      playoffSavePct = 1 - playoff.goals_against / playoff.shots_against;
+    }
+
+    let savePct = regular.savePct;
+    if (playoffSavePct != null && weight > 0) {
+      savePct = regular.savePct == null
+        ? playoffSavePct
+        : (regular.savePct * regular.gamesPlayed + playoffSavePct * weight * playoffGames) / weightedGames;
+    }
+
+    return {
+      gamesPlayed: regular.gamesPlayed + playoffGames,
+      pointsPerGame: weightedGames > 0 ? (regular.points + weight * (playoff?.points || 0)) / weightedGames : 0,
+      wins: regular.wins + weight * (playoff?.wins || 0),
+      savePct
+    };
+  }
+
+  /**
+   * Count of proposed costs per position, and how many players would change price
+   */
+  summarize(proposals) {
+    const distribution = Object.fromEntries(POSITIONS.map(pos => [
+      pos,
+      Object.fromEntries(Array.from({ length: MAX_COST }, (_, i) => [i + MIN_COST, 0]))
+    ]));
+    for (const p of proposals) {
+      distribution[p.position][p.cost]++;
+    }
+
+    return {
+      distribution,
+      changed: proposals.filter(p => p.cost !== p.currentCost).length
+    };
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id,
+      round: row.round,
+      status: row.status,
+      config: row.config,
+      proposals: row.proposals,
+      ...this.summarize(row.proposals),
+      createdBy: row.created_by_username || null,
+      createdAt: row.created_at,
+      approvedBy: row.approved_by_username || null,
+      approvedAt: row.approved_at
+    };
+  }
+
+  /**
+   * Price every active player for a round and save the result as a preview run for approval.
+   * Round 1 uses regular-season production; later rounds blend in playoff games so far.
+   */
+  async preview(round, userId) {
+    const config = await this.getConfig();
+
+    const playersResult = await pool.query(`
+      SELECT id, nhl_id, name, team_abbrev, position, player_cost(id, $1) AS current_cost
+      FROM players
+      WHERE is_active = true
+      ORDER BY position, name
+    `, [round]);
+    const players = playersResult.rows;
+
+    const regularStats = await nhlApi.getRegularSeasonStats(players.map(p => p.nhl_id));
+    const playoffStats = round > 1 ? await this.getPlayoffStats(round) : new Map();
+
+    const proposals = players.map(player => {
+      const proposal = {
+        playerId: player.id,
+        name: player.name,
+        team: player.team_abbrev,
+        position: player.position,
+        currentCost: player.current_cost,
+        cost: player.current_cost
+      };
+
+      const regular = regularStats.get(player.nhl_id);
+      if (!regular) {
+        return { ...proposal, note: 'Stats unavailable' };
+      }
+
+      const metrics = this.metricsFor(regular, playoffStats.get(player.id), config);
+      if (metrics.gamesPlayed < config.minGamesPlayed) {
+        return { ...proposal, metrics, note: 'Too few games' };
+      }
+
+      return { ...proposal, metrics, cost: this.costFor(player.position, metrics, config) };
+    });
+
+    // A newer preview replaces any that were never approved
+    await pool.query(`
+      UPDATE pricing_runs SET status = 'discarded' WHERE round = $1 AND status = 'preview'
+    `, [round]);
+
+    const result = await pool.query(`
+      INSERT INTO pricing_runs (round, config, proposals, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [round, JSON.stringify(config), JSON.stringify(proposals), userId]);
+
+    return this.formatRun(result.rows[0]);
+  }
+
+  async getRun(id) {
+    const result = await pool.query(`
+      SELECT pr.*, cu.username as created_by_username, au.username as approved_by_username
+      FROM pricing_runs pr
+      LEFT JOIN users cu ON pr.created_by = cu.id
+      LEFT JOIN users au ON pr.approved_by = au.id
+      WHERE pr.id = $1
+    `, [id]);
+
+    return result.rows[0] ? this.formatRun(result.rows[0]) : null;
+  }
+
+  /**
+   * Most recent pricing runs, without their per-player proposals
+   */
+  async getRuns(limit = 20) {
+    const result = await pool.query(`
+      SELECT pr.*, cu.username as created_by_username, au.username as approved_by_username
+      FROM pricing_runs pr
+      LEFT JOIN users cu ON pr.created_by = cu.id
+      LEFT JOIN users au ON pr.approved_by = au.id
+      ORDER BY pr.created_at DESC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows.map(row => {
+      const { proposals, ...run } = this.formatRun(row);
+      return run;
+    });
+  }
+
+  /**
+   * Make a preview run's costs the prices for its round. Returns the number of prices written.
+   */
+  async approve(runId, userId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const runResult = await client.query(`
+        UPDATE pricing_runs
+        SET status = 'approved', approved_by = $2, approved_at = NOW()
+        WHERE id = $1 AND status = 'preview'
+        RETURNING round, proposals
+      `, [runId, userId]);
+      if (runResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      const { round, proposals } = runResult.rows[0];
+
+      const result = await client.query(`
+        INSERT INTO player_prices (player_id, round, cost, pricing_run_id)
+        SELECT p.player_id, $1, p.cost, $2
+        FROM jsonb_to_recordset($3::jsonb) AS p(player_id UUID, cost INT)
+        JOIN players pl ON pl.id = p.player_id
+        ON CONFLICT (player_id, round)
+        DO UPDATE SET cost = EXCLUDED.cost, pricing_run_id = EXCLUDED.pricing_run_id, updated_at = NOW()
+      `, [round, runId, JSON.stringify(proposals.map(p => ({ player_id: p.playerId, cost: p.cost })))]);
+
+      await client.query('COMMIT');
+      return result.rowCount;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new PricingService();
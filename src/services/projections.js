@@ -0,0 +1,207 @@
+const pool = require('../../config/database');
+const scoring = require('./scoring');
+const overrides = require('./overrides');
+const rounds = require('./rounds');
+const standingsService = require('./standings');
+
+// Wins that take a playoff series, and the most games a series can last
+const WINS_TO_CLINCH = 4;
+const MAX_SERIES_GAMES = 7;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+class ProjectionService {
+  constructor() {
+    this.season = process.env.NHL_SEASON || '20252026';
+  }
+
+  /**
+   * Games a team has left in a scoring round as { min, max }, from its series in the NHL rounds counted
+   * toward it (playoffRounds, in order). A live series adds at least the wins its leader still needs and at
+   * most the games left in seven; a series the team has not reached yet may add up to seven more.
+   */
+  gamesLeft(team, playoffRounds, seriesByTeamRound) {
+    let min = 0;
+    let max = 0;
+    let advancing = true;
+
+    for (const playoffRound of playoffRounds) {
+      const series = seriesByTeamRound.get(`${team}:${playoffRound}`);
+      if (!series) {
+        max += MAX_SERIES_GAMES;
+        advancing = false;
+        continue;
+      }
+      if (series.status === 'complete') {
+        if (series.winner_abbrev !== team) break;
+        continue;
+      }
+
+      const played = series.top_seed_wins + series.bottom_seed_wins;
+      // Only the first unfinished series is certain to be played
+      if (advancing) {
+        min += WINS_TO_CLINCH - Math.max(series.top_seed_wins, series.bottom_seed_wins);
+      }
+      max += MAX_SERIES_GAMES - played;
+      advancing = false;
+    }
+
+    return { min, max };
+  }
+
+  /**
+   * Fantasy points per game for players, blending their regular season (player_season_stats) with every
+   * playoff game so far. Keyed by player ID; players with no games are left out.
+   */
+  async getScoringRates(playerIds, rules) {
+    const result = await pool.query(`
+      SELECT
+        p.id, p.position,
+        COALESCE(s.games_played, 0) + COALESCE(g.games_played, 0) AS games_played,
+        COALESCE(s.goals, 0) + COALESCE(g.goals, 0) AS goals,
+        COALESCE(s.assists, 0) + COALESCE(g.assists, 0) AS assists,
+        COALESCE(s.wins, 0) + COALESCE(g.wins, 0) AS wins,
+        COALESCE(s.shutouts, 0) + COALESCE(g.shutouts, 0) AS shutouts
+      FROM players p
+      LEFT JOIN player_season_stats s ON s.player_id = p.id AND s.season = $2
+      LEFT JOIN (
+        SELECT
+          player_id,
+          COUNT(*)::int AS games_played,
+          COALESCE(SUM(goals), 0)::int AS goals,
+          COALESCE(SUM(assists), 0)::int AS assists,
+          COUNT(*) FILTER (WHERE decision = 'W')::int AS wins,
+          COALESCE(SUM(shutouts), 0)::int AS shutouts
+        FROM ${overrides.gameStatsSource()} g
+        GROUP BY player_id
+      ) g ON g.player_id = p.id
+      WHERE p.id = ANY($1::uuid[])
+    `, [playerIds, this.season]);
+
+    return new Map(result.rows
+      .filter(p => p.games_played > 0)
+      .map(p => [p.id, scoring.playerPoints(p, p.position, false, rules) / p.games_played]));
+  }
+
+  /**
+   * What players are projected to add over the rest of a scoring round, keyed by player ID: points per game
+   * times their team's games left, as { pointsPerGame, gamesLeft, low, high }. Eliminated players add nothing.
+   * players are { id, team, isEliminated }.
+   */
+  async projectPlayers(round, players, rules) {
+    const roundNumbers = await rounds.getRoundNumbers();
+    const seriesResult = await pool.query(`
+      SELECT round, top_seed_abbrev, bottom_seed_abbrev, top_seed_wins, bottom_seed_wins, status, winner_abbrev
+      FROM series
+      WHERE season = $1
+    `, [this.season]);
+    const seriesByTeamRound = new Map(seriesResult.rows.flatMap(s =>
+      [s.top_seed_abbrev, s.bottom_seed_abbrev].filter(Boolean).map(team => [`${team}:${s.round}`, s])));
+
+    const playoffRounds = rounds.playoffRoundsFor(round, roundNumbers);
+    const rates = await this.getScoringRates([...new Set(players.map(p => p.id))], rules);
+
+    return new Map(players.map(player => {
+      const gamesLeft = player.isEliminated
+        ? { min: 0, max: 0 }
+        : this.gamesLeft(player.team, playoffRounds, seriesByTeamRound);
+      const pointsPerGame = rates.get(player.id) || 0;
+      return [player.id, {
+        pointsPerGame,
+        gamesLeft,
+        low: pointsPerGame * gamesLeft.min,
+        high: pointsPerGame * gamesLeft.max
+      }];
+    }));
+  }
+
+  /**
+   * Projected finish of a round for every user in the standings (global, or a group's with its rules).
+   * Each rostered player adds their points per game times their team's games left in the round; eliminated
+   * players add nothing. Users get a projected total with a low-high range from the fewest and most games
+   * left, and the best and worst rank those ranges allow.
+   */
+  async getProjections(round, { groupId = null } = {}) {
+    const [rules, standings] = await Promise.all([
+      scoring.getRules(groupId),
+      standingsService.getLeaderboard({ groupId })
+    ]);
+
+    const picksResult = await pool.query(`
+      SELECT r.user_id, rp.is_star, p.id, p.name, p.team_abbrev, p.position, t.is_eliminated
+      FROM rosters r
+      JOIN scored_roster_players rp ON rp.roster_id = r.id
+      JOIN players p ON rp.player_id = p.id
+      JOIN teams t ON p.team_abbrev = t.abbrev
+      WHERE r.round = $1 AND r.submitted_version_id IS NOT NULL AND r.user_id = ANY($2::uuid[])
+    `, [round, standings.map(e => e.user_id)]);
+
+    const projected = await this.projectPlayers(round, picksResult.rows.map(pick =>
+      ({ id: pick.id, team: pick.team_abbrev, isEliminated: pick.is_eliminated })), rules);
+
+    const players = new Map();
+    for (const pick of picksResult.rows) {
+      if (players.has(pick.id)) continue;
+      const { pointsPerGame, gamesLeft, low, high } = projected.get(pick.id);
+      players.set(pick.id, {
+        id: pick.id,
+        name: pick.name,
+        team: pick.team_abbrev,
+        position: pick.position,
+        isEliminated: pick.is_eliminated,
+        pointsPerGame: round1(pointsPerGame),
+        gamesLeft,
+        low,
+        high
+      });
+    }
+
+    const remaining = new Map(standings.map(e => [e.user_id, { low: 0, high: 0 }]));
+    for (const pick of picksResult.rows) {
+      const player = players.get(pick.id);
+      const multiplier = pick.is_star ? rules.starMultiplier : 1;
+      const userRemaining = remaining.get(pick.user_id);
+      userRemaining.low += player.low * multiplier;
+      userRemaining.high += player.high * multiplier;
+    }
+
+    const entries = standings.map(e => {
+      const { low, high } = remaining.get(e.user_id);
+      return {
+        userId: e.user_id,
+        username: e.username,
+        rank: e.rank,
+        points: e.total_points,
+        roundPoints: e[`r${round}_points`] || 0,
+        remaining: { low: round1(low), projected: round1((low + high) / 2), high: round1(high) },
+        projected: round1(e.total_points + (low + high) / 2),
+        low: e.total_points + low,
+        high: e.total_points + high
+      };
+    });
+
+    // Best rank: only users certain to finish ahead stay ahead; worst rank: everyone who could pass does
+    const projectedOrder = [...entries].sort((a, b) => b.projected - a.projected);
+    for (const entry of entries) {
+      entry.projectedRank = 1 + projectedOrder.filter(o => o.projected > entry.projected).length;
+      entry.bestRank = 1 + entries.filter(o => o !== entry && o.low > entry.high).length;
+      entry.worstRank = 1 + entries.filter(o => o !== entry && o.high > entry.low).length;
+    }
+
+    return {
+      round,
+      groupId,
+      entries: projectedOrder.map(({ low, high, ...entry }) => ({
+        ...entry,
+        projectedRoundPoints: round1(entry.roundPoints + entry.remaining.projected),
+        range: { low: round1(low), high: round1(high) }
+      })),
+      players: [...players.values()].map(({ low, high, ...player }) => ({
+        ...player,
+        projected: round1((low + high) / 2)
+      }))
+    };
+  }
+}
+
+module.exports = new ProjectionService();
@@ -0,0 +1,810 @@
+const pool = require('../../config/database');
+const scoring = require('./scoring');
+const statChanges = require('./statChanges');
+const projections = require('./projections');
+
+const CONFERENCES = ['western', 'eastern'];
+const POSITIONS = ['forward', 'defense', 'goalie'];
+// Roster slots in a selections payload and the position each holds
+const SLOT_POSITIONS = { forwards: 'forward', defense: 'defense', goalies: 'goalie' };
+const MAX_SLOTS_PER_POSITION = 10;
+// Roster rules for a round without a row in rounds
+const DEFAULT_ROUND_SETTINGS = {
+  salaryCap: 30,
+  // Players per position: in each conference when splitConferences, otherwise across the whole roster
+  slots: { forward: 3, defense: 2, goalie: 1 },
+  // Stars a complete roster needs, at most one per position
+  starCount: 3,
+  splitConferences: true
+};
+
+class RosterService {
+  get defaultRoundSettings() {
+    return DEFAULT_ROUND_SETTINGS;
+  }
+
+  formatRoundSettings(row) {
+    return {
+      salaryCap: row.salary_cap,
+      slots: Object.fromEntries(POSITIONS.map(pos => [pos, row.roster_slots?.[pos] || 0])),
+      starCount: row.star_count,
+      splitConferences: row.split_conferences
+    };
+  }
+
+  /**
+   * Salary cap, slots per position, star count and conference split for a round
+   */
+  async getRoundSettings(db, round) {
+    const result = await db.query(`
+      SELECT salary_cap, roster_slots, star_count, split_conferences FROM rounds WHERE round_number = $1
+    `, [round]);
+    return result.rows[0] ? this.formatRoundSettings(result.rows[0]) : DEFAULT_ROUND_SETTINGS;
+  }
+
+  /**
+   * Roster rules of every round, keyed by round number
+   */
+  async getAllRoundSettings() {
+    const result = await pool.query(`
+      SELECT round_number, salary_cap, roster_slots, star_count, split_conferences FROM rounds ORDER BY round_number
+    `);
+    return Object.fromEntries(result.rows.map(row => [row.round_number, this.formatRoundSettings(row)]));
+  }
+
+  /**
+   * Validate a round's roster rules. Returns an error message or null.
+   */
+  validateRoundSettings({ salaryCap, slots, starCount, splitConferences }) {
+    if (!Number.isInteger(salaryCap) || salaryCap < 1) {
+      return 'salaryCap must be a positive whole number';
+    }
+    if (!slots || typeof slots !== 'object') {
+      return 'slots must map each position to a number of players';
+    }
+    for (const position of POSITIONS) {
+      if (!Number.isInteger(slots[position]) || slots[position] < 0 || slots[position] > MAX_SLOTS_PER_POSITION) {
+        return `Slots for ${position} must be a whole number from 0 to ${MAX_SLOTS_PER_POSITION}`;
+      }
+    }
+    if (POSITIONS.every(position => slots[position] === 0)) {
+      return 'A roster needs at least one slot';
+    }
+    const starPositions = POSITIONS.filter(position => slots[position] > 0).length;
+    if (!Number.isInteger(starCount) || starCount < 0 || starCount > starPositions) {
+      return `starCount must be a whole number from 0 to ${starPositions} (one star per position with slots)`;
+    }
+    if (typeof splitConferences !== 'boolean') {
+      return 'splitConferences must be true or false';
+    }
+    return null;
+  }
+
+  async saveRoundSettings(round, { salaryCap, slots, starCount, splitConferences }) {
+    const result = await pool.query(`
+      UPDATE rounds
+      SET salary_cap = $2, roster_slots = $3, star_count = $4, split_conferences = $5, updated_at = NOW()
+      WHERE round_number = $1
+      RETURNING salary_cap, roster_slots, star_count, split_conferences
+    `, [round, salaryCap, JSON.stringify(slots), starCount, splitConferences]);
+    return result.rows[0] ? this.formatRoundSettings(result.rows[0]) : null;
+  }
+
+  /**
+   * The slot groups a round's roster is filled by: { conference, position, limit } per conference and position,
+   * or with conference null when conferences are not split
+   */
+  slotGroups(settings) {
+    const conferences = settings.splitConferences ? CONFERENCES : [null];
+    return conferences.flatMap(conference => POSITIONS.map(position => ({
+      conference, position, limit: settings.slots[position]
+    })));
+  }
+
+  /**
+   * Whether a player ({ conference, position }) fills a slot group
+   */
+  inSlotGroup(player, group) {
+    return player.position === group.position && (!group.conference || player.conference === group.conference);
+  }
+
+  /**
+   * Per-player fantasy point breakdown for one user's roster in a round, from its latest submitted version.
+   * Uses the group's scoring rules when a groupId is given; players of hiddenTeams (a Set of abbrevs) are left out.
+   * Returns null if the user has no roster for the round.
+   */
+  async getBreakdown(userId, round, { groupId = null, hiddenTeams = new Set() } = {}) {
+    const rosterResult = await pool.query(`
+      SELECT r.id, r.round, r.submitted_version_id, v.version, v.submitted_at
+      FROM rosters r
+      LEFT JOIN roster_versions v ON v.id = r.submitted_version_id
+      WHERE r.user_id = $1 AND r.round = $2
+    `, [userId, round]);
+
+    if (rosterResult.rows.length === 0) {
+      return null;
+    }
+
+    const roster = rosterResult.rows[0];
+    const rules = await scoring.getRules(groupId);
+
+    const statsSource = await statChanges.playerStatsSource();
+    const playersResult = await pool.query(`
+      SELECT
+        p.id, p.nhl_id, p.name, p.team_abbrev as team, p.position, player_cost(p.id, $2) as cost,
+        t.conference, t.color as team_color, t.is_eliminated,
+        rp.is_star,
+        COALESCE(ps.goals, 0) as goals,
+        COALESCE(ps.assists, 0) as assists,
+        COALESCE(ps.wins, 0) as wins,
+        COALESCE(ps.shutouts, 0) as shutouts,
+        COALESCE(ps.games_played, 0) as games_played
+      FROM scored_roster_players rp
+      JOIN players p ON rp.player_id = p.id
+      JOIN teams t ON p.team_abbrev = t.abbrev
+      LEFT JOIN ${statsSource} ps ON p.id = ps.player_id AND ps.round = $2
+      WHERE rp.roster_id = $1
+      ORDER BY t.conference, p.position, p.name
+    `, [roster.id, round]);
+
+    const totals = {
+      total: 0,
+      byConference: Object.fromEntries(CONFERENCES.map(c => [c, 0])),
+      byPosition: Object.fromEntries(POSITIONS.map(p => [p, 0])),
+      byConferencePosition: Object.fromEntries(CONFERENCES.map(c => [c, Object.fromEntries(POSITIONS.map(p => [p, 0]))]))
+    };
+
+    const shownRows = playersResult.rows.filter(row => !hiddenTeams.has(row.team));
+    const players = shownRows.map(row => {
+      const stats = {
+        goals: row.goals,
+        assists: row.assists,
+        wins: row.wins,
+        shutouts: row.shutouts,
+        gamesPlayed: row.games_played
+      };
+      const basePoints = scoring.playerPoints(stats, row.position, false, rules);
+      const multiplier = row.is_star ? rules.starMultiplier : 1;
+      const points = basePoints * multiplier;
+
+      totals.total += points;
+      totals.byConference[row.conference] += points;
+      totals.byPosition[row.position] += points;
+      totals.byConferencePosition[row.conference][row.position] += points;
+
+      return {
+        id: row.id,
+        nhlId: row.nhl_id,
+        name: row.name,
+        team: row.team,
+        teamColor: row.team_color,
+        isEliminated: row.is_eliminated,
+        position: row.position,
+        conference: row.conference,
+        cost: row.cost,
+        isStar: row.is_star,
+        stats,
+        basePoints,
+        multiplier,
+        points
+      };
+    });
+
+    return {
+      roster: {
+        id: roster.id,
+        round: roster.round,
+        // Breakdowns show the latest submitted version, which is what scores
+        isSubmitted: roster.submitted_version_id !== null,
+        version: roster.version,
+        submittedAt: roster.submitted_at
+      },
+      rules,
+      players,
+      hiddenPicks: playersResult.rows.length - shownRows.length,
+      totals
+    };
+  }
+
+  /**
+   * Head-to-head comparison of two users' rosters in a round, from their breakdowns.
+   * Shared picks score the same for both unless only one starred the player, so the gap between the users is
+   * their unique picks plus the star bonus on shared players. Upside is how much each user's differences can
+   * still move the gap: what those differences are projected to add over the games their teams have left
+   * (projections.projectPlayers), as a low-high range, and how fast they score per game.
+   * A user without a roster compares as an empty one. hiddenTeams holds a Set per user of teams whose picks are
+   * left out (see hiddenTeams).
+   */
+  async compare(userIds, round, { groupId = null, hiddenTeams = [] } = {}) {
+    const breakdowns = await Promise.all(userIds.map((id, i) =>
+      this.getBreakdown(id, round, { groupId, hiddenTeams: hiddenTeams[i] })));
+    const playersById = breakdowns.map(b => new Map((b?.players || []).map(p => [p.id, p])));
+    const rules = breakdowns.find(Boolean)?.rules || await scoring.getRules(groupId);
+    const round2 = (n) => Math.round(n * 100) / 100;
+
+    const shared = [];
+    const starDifferences = [];
+    const sides = userIds.map(userId => ({ userId, unique: [], uniquePoints: 0, starBonus: 0 }));
+    // Differences that can still score, with the share of their points that counts only for one side
+    const differences = sides.map(() => []);
+    const addUpside = (index, player, factor) => {
+      if (!player.isEliminated) differences[index].push({ player, factor });
+    };
+
+    for (const player of playersById[0].values()) {
+      const other = playersById[1].get(player.id);
+      if (!other) continue;
+
+      shared.push({
+        id: player.id,
+        name: player.name,
+        team: player.team,
+        position: player.position,
+        conference: player.conference,
+        isEliminated: player.isEliminated,
+        basePoints: player.basePoints,
+        starredBy: userIds.filter((_, i) => playersById[i].get(player.id).isStar)
+      });
+
+      if (player.isStar !== other.isStar) {
+        const index = player.isStar ? 0 : 1;
+        const starred = index === 0 ? player : other;
+        const bonus = starred.points - starred.basePoints;
+        sides[index].starBonus += bonus;
+        addUpside(index, starred, starred.multiplier - 1);
+        starDifferences.push({
+          id: player.id,
+          name: player.name,
+          team: player.team,
+          position: player.position,
+          starredBy: userIds[index],
+          points: bonus
+        });
+      }
+    }
+
+    sides.forEach((side, i) => {
+      for (const player of playersById[i].values()) {
+        if (playersById[1 - i].has(player.id)) continue;
+        side.unique.push(player);
+        side.uniquePoints += player.points;
+        addUpside(i, player, player.multiplier);
+      }
+    });
+
+    const projected = await projections.projectPlayers(round, differences.flat().map(d => d.player), rules);
+    const upsides = differences.map(list => list.reduce((upside, { player, factor }) => {
+      const projection = projected.get(player.id);
+      upside.pointsPerGame += projection.pointsPerGame * factor;
+      upside.low += projection.low * factor;
+      upside.high += projection.high * factor;
+      return upside;
+    }, { alivePlayers: list.length, pointsPerGame: 0, low: 0, high: 0 }));
+
+    return {
+      round,
+      groupId,
+      rules,
+      shared,
+      starDifferences,
+      users: sides.map((side, i) => ({
+        ...side,
+        roster: breakdowns[i]?.roster || null,
+        total: breakdowns[i]?.totals.total || 0,
+        // What this user's differences are worth against the other's
+        differencePoints: side.uniquePoints + side.starBonus,
+        upside: {
+          alivePlayers: upsides[i].alivePlayers,
+          pointsPerGame: round2(upsides[i].pointsPerGame),
+          low: round2(upsides[i].low),
+          projected: round2((upsides[i].low + upsides[i].high) / 2),
+          high: round2(upsides[i].high)
+        }
+      }))
+    };
+  }
+
+  /**
+   * Every submitted version of a roster, newest first, with its players and tiebreaker answers.
+   * Players of hiddenTeams (a Set of abbrevs) are left out.
+   */
+  async getVersions(rosterId, { hiddenTeams = new Set() } = {}) {
+    const result = await pool.query(`
+      SELECT
+        v.id, v.version, v.submitted_at, v.question1_answer, v.question2_answer,
+        v.id = r.submitted_version_id as is_current,
+        COALESCE(
+          json_agg(
+            json_build_object('id', p.id, 'name', p.name, 'team', p.team_abbrev, 'position', p.position, 'isStar', vp.is_star)
+            ORDER BY p.position, p.name
+          ) FILTER (WHERE p.id IS NOT NULL),
+          '[]'
+        ) as players
+      FROM roster_versions v
+      JOIN rosters r ON r.id = v.roster_id
+      LEFT JOIN roster_version_players vp ON vp.version_id = v.id
+      LEFT JOIN players p ON p.id = vp.player_id
+      WHERE v.roster_id = $1
+      GROUP BY v.id, r.submitted_version_id
+      ORDER BY v.version DESC
+    `, [rosterId]);
+
+    return result.rows.map(row => ({
+      version: row.version,
+      submittedAt: row.submitted_at,
+      isCurrent: row.is_current,
+      tiebreakers: { q1: row.question1_answer, q2: row.question2_answer },
+      players: row.players.filter(p => !hiddenTeams.has(p.team))
+    }));
+  }
+
+  /**
+   * Store the roster's current picks and tiebreaker answers as a new submitted version
+   * and make it the version that scores. autoPicked marks a version generated by auto-pick.
+   * Returns the new version number.
+   */
+  async submitVersion(db, rosterId, { autoPicked = false } = {}) {
+    const versionResult = await db.query(`
+      INSERT INTO roster_versions (roster_id, version, question1_answer, question2_answer)
+      SELECT r.id, COALESCE((SELECT MAX(version) FROM roster_versions WHERE roster_id = r.id), 0) + 1,
+        t.question1_answer, t.question2_answer
+      FROM rosters r
+      LEFT JOIN tiebreakers t ON t.user_id = r.user_id AND t.round = r.round
+      WHERE r.id = $1
+      RETURNING id, version
+    `, [rosterId]);
+    const { id, version } = versionResult.rows[0];
+
+    await db.query(`
+      INSERT INTO roster_version_players (version_id, player_id, is_star)
+      SELECT $2, player_id, is_star FROM roster_players WHERE roster_id = $1
+    `, [rosterId, id]);
+
+    await db.query(`
+      UPDATE rosters
+      SET is_submitted = true, submitted_at = NOW(), submitted_version_id = $2, auto_picked = $3
+      WHERE id = $1
+    `, [rosterId, id, autoPicked]);
+
+    return version;
+  }
+
+  async getLockMode() {
+    const result = await pool.query(`SELECT value FROM settings WHERE key = 'lock_mode'`);
+    return result.rows[0]?.value === 'game' ? 'game' : 'round';
+  }
+
+  /**
+   * When each team's players lock for a round: the pick deadline in 'round' lock mode; in 'game' mode
+   * the start of the team's first game of the round, even after the deadline, or the deadline when no game is recorded.
+   * Returns { mode, deadline, teams: { [abbrev]: lockAt or null } }.
+   */
+  async getLocks(db, round) {
+    const mode = await this.getLockMode();
+    const result = await db.query(`
+      SELECT t.abbrev, s.starts_at, (SELECT pick_deadline FROM rounds WHERE round_number = $1) as pick_deadline
+      FROM teams t
+      LEFT JOIN team_round_starts s ON s.team_abbrev = t.abbrev AND s.round = $1
+    `, [round]);
+
+    const deadline = result.rows[0]?.pick_deadline || null;
+    const teams = {};
+    for (const row of result.rows) {
+      const lockAt = (mode === 'game' && row.starts_at) || deadline;
+      teams[row.abbrev] = lockAt ? new Date(lockAt) : null;
+    }
+
+    return { mode, deadline, teams };
+  }
+
+  /**
+   * Why rosters for a round cannot be edited now, or null. In 'round' lock mode nothing changes after the pick
+   * deadline; in 'game' mode edits stay open past it and lockViolations rejects changes to locked players.
+   * Pass requireDeadline: false to allow edits in a round without a deadline.
+   */
+  async editLockError(db, round, { requireDeadline = true } = {}) {
+    const result = await db.query('SELECT pick_deadline FROM rounds WHERE round_number = $1', [round]);
+    const deadline = result.rows[0]?.pick_deadline;
+    if (!deadline) return requireDeadline ? 'Round deadline not set' : null;
+    if (new Date() > new Date(deadline) && await this.getLockMode() !== 'game') return 'Round is locked';
+    return null;
+  }
+
+  /**
+   * In 'game' lock mode, errors for edits that add, drop, star or unstar a player whose team's game has started,
+   * compared with the roster's scoring picks. Empty in 'round' mode, where the deadline locks everything at once.
+   */
+  async lockViolations(db, round, rosterId, { selections, stars }) {
+    const locks = await this.getLocks(db, round);
+    if (locks.mode !== 'game') return [];
+
+    const currentResult = await db.query(`
+      SELECT player_id, is_star FROM scored_roster_players WHERE roster_id = $1
+    `, [rosterId]);
+    const current = new Map(currentResult.rows.map(r => [r.player_id, r.is_star]));
+    const proposed = new Map(this.flattenSelections(selections).map(p => [p.playerId, false]));
+    for (const starId of this.starIds(stars)) {
+      if (proposed.has(starId)) proposed.set(starId, true);
+    }
+
+    const touched = [...new Set([...current.keys(), ...proposed.keys()])]
+      .filter(id => current.get(id) !== proposed.get(id));
+    if (touched.length === 0) return [];
+
+    const playersResult = await db.query(`
+      SELECT id, name, team_abbrev FROM players WHERE id::text = ANY($1::text[])
+    `, [touched.map(String)]);
+
+    const now = new Date();
+    return playersResult.rows
+      .filter(p => locks.teams[p.team_abbrev] && locks.teams[p.team_abbrev] <= now)
+      .map(p => ({
+        rule: 'player_locked',
+        playerId: p.id,
+        message: `${p.name} is locked: ${p.team_abbrev} has started playing this round`
+      }));
+  }
+
+  /**
+   * Lock state of a round under the current lock mode: getLocks plus deadlinePassed, the teams whose
+   * players are not locked yet, and locked once every player is (at the deadline in 'round' mode; in
+   * 'game' mode once every team's first game of the round has started).
+   */
+  async getLockState(db, round) {
+    const locks = await this.getLocks(db, round);
+    const now = new Date();
+    const deadlinePassed = !!locks.deadline && now > new Date(locks.deadline);
+    const unlockedTeams = Object.keys(locks.teams).filter(team => !locks.teams[team] || locks.teams[team] > now);
+    return { ...locks, deadlinePassed, unlockedTeams, locked: deadlinePassed && unlockedTeams.length === 0 };
+  }
+
+  /**
+   * Tiebreaker answers freeze at the round's pick deadline, even in 'game' lock mode where picks stay open.
+   * Returns an error when answers ({ q1, q2 }) differ from the frozen ones: the latest submitted version's,
+   * or the saved answers when nothing was submitted. Null before the deadline.
+   */
+  async tiebreakerLockError(db, round, userId, answers) {
+    if (!(await this.getLockState(db, round)).deadlinePassed) return null;
+
+    const result = await db.query(`
+      SELECT v.question1_answer, v.question2_answer
+      FROM rosters r
+      JOIN roster_versions v ON v.id = r.submitted_version_id
+      WHERE r.user_id = $1 AND r.round = $2
+      UNION ALL
+      SELECT question1_answer, question2_answer FROM tiebreakers WHERE user_id = $1 AND round = $2
+    `, [userId, round]);
+    const frozen = result.rows[0] || {};
+
+    const changed = (answer, frozenAnswer) => (answer ?? null) !== (frozenAnswer ?? null);
+    if (changed(answers.q1, frozen.question1_answer) || changed(answers.q2, frozen.question2_answer)) {
+      return 'Tiebreaker answers are locked once the pick deadline passes';
+    }
+    return null;
+  }
+
+  /**
+   * Whether every pick in a round is locked, so rosters and figures built from them can be shown
+   */
+  async isRoundLocked(round) {
+    return (await this.getLockState(pool, round)).locked;
+  }
+
+  /**
+   * Share of submitted rosters that picked and starred each player in a round, most picked first.
+   * Counts the global pool (verified users), or a group's members.
+   */
+  async getOwnership(round, { groupId = null } = {}) {
+    const result = await pool.query(`
+      WITH entries AS (
+        SELECT r.id
+        FROM rosters r
+        JOIN users u ON r.user_id = u.id
+        WHERE r.round = $1 AND r.submitted_version_id IS NOT NULL
+          AND CASE WHEN $2::uuid IS NULL THEN u.is_verified
+            ELSE EXISTS (SELECT 1 FROM group_members gm WHERE gm.group_id = $2 AND gm.user_id = u.id) END
+      )
+      SELECT
+        p.id, p.name, p.team_abbrev, p.position,
+        COUNT(*)::int as owned_count,
+        COUNT(*) FILTER (WHERE rp.is_star)::int as starred_count,
+        (SELECT COUNT(*) FROM entries)::int as rosters
+      FROM entries e
+      JOIN scored_roster_players rp ON rp.roster_id = e.id
+      JOIN players p ON rp.player_id = p.id
+      GROUP BY p.id
+      ORDER BY owned_count DESC, starred_count DESC, p.name
+    `, [round, groupId]);
+
+    const rosters = result.rows[0]?.rosters || 0;
+    const percent = (count) => rosters > 0 ? Math.round(count * 1000 / rosters) / 10 : 0;
+
+    return {
+      round,
+      groupId,
+      rosters,
+      players: result.rows.map(row => ({
+        playerId: row.id,
+        name: row.name,
+        team: row.team_abbrev,
+        position: row.position,
+        ownedCount: row.owned_count,
+        starredCount: row.starred_count,
+        owned: percent(row.owned_count),
+        starred: percent(row.starred_count)
+      }))
+    };
+  }
+
+  /**
+   * Check whether a viewer ({ id, isAdmin } from the token) may see another user's roster and tiebreaker answers.
+   * Before the round's pick deadline only the owner and admins can; after it, anyone sharing a group
+   * with the owner, or anyone at all when the owner is in the global pool (verified users).
+   * Picks that can still change stay hidden from them (hiddenTeams).
+   * Returns an error message or null.
+   */
+  async visibilityError(viewer, ownerId, round) {
+    if (viewer.id === ownerId || viewer.isAdmin) return null;
+
+    const result = await pool.query(`
+      SELECT
+        (SELECT is_verified FROM users WHERE id = $2) as owner_verified,
+        EXISTS (
+          SELECT 1 FROM group_members a
+          JOIN group_members b ON a.group_id = b.group_id
+          WHERE a.user_id = $1 AND b.user_id = $2
+        ) as shares_group
+    `, [viewer.id, ownerId]);
+    const { owner_verified: ownerVerified, shares_group: sharesGroup } = result.rows[0];
+
+    if (!(await this.getLockState(pool, round)).deadlinePassed) {
+      return 'Picks are hidden until the round locks';
+    }
+    if (!ownerVerified && !sharesGroup) {
+      return 'You can only view picks of users in the pool or your groups';
+    }
+    return null;
+  }
+
+  /**
+   * Teams whose picks are hidden from a viewer of another user's roster: those whose players are not locked yet,
+   * which in 'game' lock mode are the teams that have not started the round, so nobody can copy a pick that can
+   * still be made. Empty for the owner and admins.
+   */
+  async hiddenTeams(viewer, ownerId, round) {
+    if (viewer.id === ownerId || viewer.isAdmin) return new Set();
+    return new Set((await this.getLockState(pool, round)).unlockedTeams);
+  }
+
+  /**
+   * Starred player IDs in a stars payload ({ forward, defense, goalie }). Keys other than the positions are
+   * ignored, so a payload cannot star more than one player per position.
+   */
+  starIds(stars) {
+    return POSITIONS.map(position => stars?.[position]).filter(Boolean);
+  }
+
+  /**
+   * Player IDs in a selections payload ({ western: { forwards, defense, goalies }, eastern: ... }),
+   * with the conference and position of the slot each was picked in
+   */
+  flattenSelections(selections) {
+    const picks = [];
+    for (const conference of CONFERENCES) {
+      for (const [slot, position] of Object.entries(SLOT_POSITIONS)) {
+        const ids = selections?.[conference]?.[slot];
+        if (Array.isArray(ids)) {
+          ids.forEach(playerId => picks.push({ playerId, conference, position }));
+        }
+      }
+    }
+    return picks;
+  }
+
+  /**
+   * Check a roster against the pick rules for a round.
+   * Saves may be partial; pass complete: true to also require a full roster and all of the round's stars (submit).
+   * Returns a list of { rule, message, ...details } errors, empty when the roster is valid.
+   */
+  async validate(db, round, { selections, stars }, { complete = false } = {}) {
+    const settings = await this.getRoundSettings(db, round);
+    const errors = [];
+    const picks = this.flattenSelections(selections);
+    const ids = picks.map(p => p.playerId);
+
+    const seen = new Set();
+    for (const id of ids) {
+      if (seen.has(id)) {
+        errors.push({ rule: 'duplicate', playerId: id, message: 'A player can only be picked once' });
+      }
+      seen.add(id);
+    }
+
+    const playersResult = ids.length === 0 ? { rows: [] } : await db.query(`
+      SELECT
+        p.id, p.name, p.team_abbrev, p.position, p.is_active, player_cost(p.id, $2) as cost,
+        t.conference, t.is_eliminated,
+        EXISTS (SELECT 1 FROM team_qualifications WHERE round_number = $2 AND qualified = true) as round_has_qualifiers,
+        EXISTS (
+          SELECT 1 FROM team_qualifications tq
+          WHERE tq.round_number = $2 AND tq.team_abbrev = p.team_abbrev AND tq.qualified = true
+        ) as is_qualified
+      FROM players p
+      JOIN teams t ON p.team_abbrev = t.abbrev
+      WHERE p.id::text = ANY($1::text[])
+    `, [[...seen].map(String), round]);
+    const players = new Map(playersResult.rows.map(p => [p.id, p]));
+
+    for (const pick of picks) {
+      const player = players.get(pick.playerId);
+      if (!player || !player.is_active) {
+        errors.push({ rule: 'unknown_player', playerId: pick.playerId, message: 'Player not found' });
+        continue;
+      }
+      if (player.conference !== pick.conference || player.position !== pick.position) {
+        errors.push({ rule: 'slot', playerId: player.id, message: `${player.name} is not a ${pick.conference} ${pick.position}` });
+      }
+      // Until an admin sets a round's qualified teams, every team is eligible
+      if (player.round_has_qualifiers && !player.is_qualified) {
+        errors.push({ rule: 'team_not_qualified', playerId: player.id, message: `${player.team_abbrev} is not playing in round ${round}` });
+      } else if (player.is_eliminated) {
+        errors.push({ rule: 'team_eliminated', playerId: player.id, message: `${player.team_abbrev} has been eliminated` });
+      }
+    }
+
+    for (const { conference, position, limit: needed } of this.slotGroups(settings)) {
+      const count = picks.filter(p => this.inSlotGroup(p, { conference, position })).length;
+      if (count > needed || (complete && count < needed)) {
+        const label = conference ? `${conference} ${position}` : position;
+        errors.push({
+          rule: 'slot_count', conference, position, count, needed,
+          message: `Pick exactly ${needed} ${label}${needed !== 1 ? 's' : ''} (you have ${count})`
+        });
+      }
+    }
+
+    const totalCost = [...seen].reduce((sum, id) => sum + (players.get(id)?.cost || 0), 0);
+    if (totalCost > settings.salaryCap) {
+      errors.push({ rule: 'salary_cap', total: totalCost, cap: settings.salaryCap, message: `Roster costs $${totalCost}, over the $${settings.salaryCap} cap` });
+    }
+
+    const starPositions = POSITIONS.filter(position => settings.slots[position] > 0);
+    let starCount = 0;
+    for (const position of POSITIONS) {
+      const starId = stars?.[position] || null;
+      if (!starId) continue;
+      starCount++;
+      if (!picks.some(p => p.playerId === starId && p.position === position && players.get(starId)?.position === position)) {
+        errors.push({ rule: 'star', position, playerId: starId, message: `Your ${position} star must be a ${position} on your roster` });
+      }
+    }
+    if (starCount > settings.starCount) {
+      errors.push({ rule: 'star', count: starCount, needed: settings.starCount, message: `Choose at most ${settings.starCount} star${settings.starCount !== 1 ? 's' : ''} (you have ${starCount})` });
+    } else if (complete && starCount < settings.starCount) {
+      // When every position needs a star, name the ones still missing
+      if (settings.starCount === starPositions.length) {
+        for (const position of starPositions.filter(position => !stars?.[position])) {
+          errors.push({ rule: 'star', position, message: `Choose a ${position} star` });
+        }
+      } else {
+        errors.push({ rule: 'star', count: starCount, needed: settings.starCount, message: settings.starCount === 1 ? 'Choose a star' : `Choose ${settings.starCount} stars, one per position (you have ${starCount})` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Stored picks of a roster in the selections/stars shape the API accepts
+   */
+  async getSelections(db, rosterId) {
+    const result = await db.query(`
+      SELECT p.id, p.position, t.conference, rp.is_star
+      FROM roster_players rp
+      JOIN players p ON rp.player_id = p.id
+      JOIN teams t ON p.team_abbrev = t.abbrev
+      WHERE rp.roster_id = $1
+    `, [rosterId]);
+
+    return this.toSelections(result.rows);
+  }
+
+  /**
+   * Arrange player rows ({ id, conference, position, is_star }) into the selections/stars shape the API accepts
+   */
+  toSelections(players) {
+    const selections = Object.fromEntries(CONFERENCES.map(conf => [
+      conf, Object.fromEntries(Object.keys(SLOT_POSITIONS).map(slot => [slot, []]))
+    ]));
+    const stars = { forward: null, defense: null, goalie: null };
+    const slots = Object.fromEntries(Object.entries(SLOT_POSITIONS).map(([slot, pos]) => [pos, slot]));
+    for (const player of players) {
+      selections[player.conference][slots[player.position]].push(player.id);
+      if (player.is_star) stars[player.position] = player.id;
+    }
+
+    return { selections, stars };
+  }
+
+  /**
+   * Seed picks for a round from a roster of the previous one (its latest submitted version, or its draft).
+   * Drops players who are inactive, eliminated or on teams not qualified for the round, then the priciest
+   * remaining players until the roster fits under the cap at this round's prices, and any players beyond
+   * this round's slots. Returns { selections, stars, dropped, openSlots, totalCost }.
+   */
+  async carryOver(db, round, previousRosterId) {
+    const result = await db.query(`
+      SELECT
+        p.id, p.name, p.team_abbrev, p.position, p.is_active, player_cost(p.id, $2) as cost,
+        t.conference, t.is_eliminated, rp.is_star,
+        EXISTS (SELECT 1 FROM team_qualifications WHERE round_number = $2 AND qualified = true) as round_has_qualifiers,
+        EXISTS (
+          SELECT 1 FROM team_qualifications tq
+          WHERE tq.round_number = $2 AND tq.team_abbrev = p.team_abbrev AND tq.qualified = true
+        ) as is_qualified
+      FROM scored_roster_players rp
+      JOIN players p ON rp.player_id = p.id
+      JOIN teams t ON p.team_abbrev = t.abbrev
+      WHERE rp.roster_id = $1
+      ORDER BY player_cost(p.id, $2) DESC, p.name
+    `, [previousRosterId, round]);
+
+    const dropped = [];
+    const drop = (player, rule, message) => dropped.push({
+      rule, playerId: player.id, name: player.name, team: player.team_abbrev, position: player.position, message
+    });
+
+    let kept = [];
+    for (const player of result.rows) {
+      if (!player.is_active) {
+        drop(player, 'unknown_player', `${player.name} is no longer in the player pool`);
+      } else if (player.round_has_qualifiers && !player.is_qualified) {
+        drop(player, 'team_not_qualified', `${player.team_abbrev} is not playing in round ${round}`);
+      } else if (player.is_eliminated) {
+        drop(player, 'team_eliminated', `${player.team_abbrev} has been eliminated`);
+      } else {
+        kept.push(player);
+      }
+    }
+
+    const settings = await this.getRoundSettings(db, round);
+    const groups = this.slotGroups(settings);
+
+    // A smaller roster this round keeps the priciest players in each slot group
+    const filled = new Map();
+    kept = kept.filter(player => {
+      const group = groups.find(g => this.inSlotGroup(player, g));
+      const count = filled.get(group) || 0;
+      if (count >= group.limit) {
+        const label = group.conference ? `${group.conference} ${group.position}` : group.position;
+        drop(player, 'slot_count', `Round ${round} rosters have only ${group.limit} ${label} slot${group.limit !== 1 ? 's' : ''}`);
+        return false;
+      }
+      filled.set(group, count + 1);
+      return true;
+    });
+
+    // Rows are priciest first, so dropping from the front frees the most cap per player
+    let totalCost = kept.reduce((sum, p) => sum + p.cost, 0);
+    while (totalCost > settings.salaryCap) {
+      const player = kept.shift();
+      totalCost -= player.cost;
+      drop(player, 'salary_cap', `${player.name} now costs $${player.cost} and no longer fits under the $${settings.salaryCap} cap`);
+    }
+
+    const { selections, stars } = this.toSelections(kept);
+    // Keep no more stars than the round allows
+    Object.keys(stars).filter(position => stars[position]).slice(settings.starCount)
+      .forEach(position => { stars[position] = null; });
+
+    const openSlots = [];
+    for (const group of groups) {
+      const open = group.limit - kept.filter(p => this.inSlotGroup(p, group)).length;
+      if (open > 0) openSlots.push({ conference: group.conference, position: group.position, open });
+    }
+
+    return { selections, stars, dropped, openSlots, totalCost };
+  }
+}
+
+module.exports = new RosterService();
@@ -0,0 +1,53 @@
+const pool = require('../../config/database');
+
+// NHL playoff rounds; 4 is the Stanley Cup Final
+const PLAYOFF_ROUNDS = 4;
+
+class RoundsService {
+  get playoffRounds() {
+    return PLAYOFF_ROUNDS;
+  }
+
+  /**
+   * Scoring round numbers from the rounds table, in order. The testing round (0) is left out.
+   */
+  async getRoundNumbers(db = pool) {
+    const result = await db.query(`
+      SELECT round_number FROM rounds WHERE round_number >= 1 ORDER BY round_number
+    `);
+    return result.rows.map(r => r.round_number);
+  }
+
+  /**
+   * Whether a round has a row in the rounds table, including the testing round
+   */
+  async isRound(round, db = pool) {
+    if (!Number.isInteger(round)) return false;
+    const result = await db.query('SELECT 1 FROM rounds WHERE round_number = $1', [round]);
+    return result.rows.length > 0;
+  }
+
+  async isScoringRound(round, db = pool) {
+    return Number.isInteger(round) && (await this.getRoundNumbers(db)).includes(round);
+  }
+
+  /**
+   * Scoring round an NHL playoff round counts toward. Pools with fewer scoring rounds than the NHL
+   * count the later NHL rounds toward their last one (e.g. the Cup Final folded into round 3).
+   */
+  scoringRoundFor(playoffRound, roundNumbers) {
+    const last = roundNumbers[roundNumbers.length - 1] || PLAYOFF_ROUNDS;
+    return Math.min(playoffRound, last);
+  }
+
+  /**
+   * NHL playoff rounds that count toward a scoring round, the reverse of scoringRoundFor
+   */
+  playoffRoundsFor(round, roundNumbers) {
+    const last = roundNumbers[roundNumbers.length - 1];
+    const through = round === last ? PLAYOFF_ROUNDS : round;
+    return Array.from({ length: Math.max(through - round + 1, 0) }, (_, i) => round + i);
+  }
+}
+
+module.exports = new RoundsService();
@@ -0,0 +1,144 @@
+const pool = require('../../config/database');
+
+const STAT_CATEGORIES = ['goals', 'assists', 'wins', 'shutouts'];
+const POSITIONS = ['forward', 'defense', 'goalie'];
+
+// Used when no scoring_rules row exists for the season
+const DEFAULT_RULES = {
+  points: { goals: 1, assists: 1, wins: 2, shutouts: 1 },
+  starMultiplier: 2,
+  positionOverrides: { goalie: { goals: 0, assists: 0 } }
+};
+
+class ScoringService {
+  constructor() {
+    this.season = process.env.NHL_SEASON || '20252026';
+  }
+
+  /**
+   * Convert a scoring_rules row into the shape used by the API and frontend
+   */
+  formatRules(row) {
+    return {
+      season: row.season,
+      groupId: row.group_id || null,
+      points: { ...row.points },
+      starMultiplier: parseFloat(row.star_multiplier),
+      positionOverrides: { ...row.position_overrides }
+    };
+  }
+
+  /**
+   * Get the rule set for a group, falling back to the season default
+   */
+  async getRules(groupId = null) {
+    const result = await pool.query(`
+      SELECT season, group_id, points, star_multiplier, position_overrides
+      FROM scoring_rules
+      WHERE season = $1 AND (group_id IS NULL OR group_id = $2)
+      ORDER BY group_id NULLS LAST
+      LIMIT 1
+    `, [this.season, groupId]);
+
+    if (result.rows.length === 0) {
+      return { season: this.season, groupId: null, ...DEFAULT_RULES };
+    }
+
+    return this.formatRules(result.rows[0]);
+  }
+
+  /**
+   * Point value of each stat category for a position
+   */
+  pointValues(rules, position) {
+    return { ...rules.points, ...(rules.positionOverrides?.[position] || {}) };
+  }
+
+  /**
+   * Fantasy points earned by one player's stats
+   */
+  playerPoints(stats, position, isStar, rules) {
+    if (!stats) return 0;
+
+    const values = this.pointValues(rules, position);
+    let points = 0;
+    for (const category of STAT_CATEGORIES) {
+      points += (Number(stats[category]) || 0) * (Number(values[category]) || 0);
+    }
+
+    return isStar ? points * rules.starMultiplier : points;
+  }
+
+  /**
+   * Fantasy points earned in a single player_game_stats row
+   */
+  gamePoints(game, position, isStar, rules) {
+    return this.playerPoints({ ...game, wins: game.decision === 'W' ? 1 : 0 }, position, isStar, rules);
+  }
+
+  /**
+   * Validate a rule set submitted by an admin or group owner.
+   * Returns an error message, or null if the rules are valid.
+   */
+  validateRules({ points, starMultiplier, positionOverrides }) {
+    const isValidValues = (values) =>
+      values && typeof values === 'object' && !Array.isArray(values) &&
+      Object.entries(values).every(([category, value]) =>
+        STAT_CATEGORIES.includes(category) && typeof value === 'number' && Number.isFinite(value));
+
+    if (!isValidValues(points)) {
+      return `Points must map stat categories (${STAT_CATEGORIES.join(', ')}) to numbers`;
+    }
+
+    if (typeof starMultiplier !== 'number' || starMultiplier < 1 || starMultiplier > 10) {
+      return 'Star multiplier must be a number between 1 and 10';
+    }
+
+    if (positionOverrides !== undefined) {
+      if (!positionOverrides || typeof positionOverrides !== 'object') {
+        return 'Position overrides must be an object';
+      }
+      for (const [position, values] of Object.entries(positionOverrides)) {
+        if (!POSITIONS.includes(position)) {
+          return `Unknown position: ${position}`;
+        }
+        if (!isValidValues(values)) {
+          return `Overrides for ${position} must map stat categories to numbers`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create or replace the rule set for the season default (groupId = null) or a group
+   */
+  async saveRules(groupId, { points, starMultiplier, positionOverrides = {} }) {
+    const conflictTarget = groupId ? '(season, group_id) WHERE group_id IS NOT NULL' : '(season) WHERE group_id IS NULL';
+
+    const result = await pool.query(`
+      INSERT INTO scoring_rules (season, group_id, points, star_multiplier, position_overrides)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT ${conflictTarget}
+      DO UPDATE SET
+        points = EXCLUDED.points,
+        star_multiplier = EXCLUDED.star_multiplier,
+        position_overrides = EXCLUDED.position_overrides
+      RETURNING season, group_id, points, star_multiplier, position_overrides
+    `, [this.season, groupId, JSON.stringify(points), starMultiplier, JSON.stringify(positionOverrides)]);
+
+    return this.formatRules(result.rows[0]);
+  }
+
+  /**
+   * Remove a group's rule set so it falls back to the season default
+   */
+  async deleteGroupRules(groupId) {
+    await pool.query(`
+      DELETE FROM scoring_rules WHERE season = $1 AND group_id = $2
+    `, [this.season, groupId]);
+  }
+}
+
+module.exports = new ScoringService();
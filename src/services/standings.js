@@ -0,0 +1,269 @@
+const pool = require('../../config/database');
+const scoring = require('./scoring');
+const statChanges = require('./statChanges');
+const overrides = require('./overrides');
+const rounds = require('./rounds');
+
+class StandingsService {
+  /**
+   * Compute the leaderboard from submitted rosters and player stats.
+   * Pass a groupId to rank only that group's members using the group's rule set.
+   * Ties on points are broken by tiebreaker answers; users still tied share a rank.
+   * Entries have an r<n>_points total for each scoring round in the rounds table.
+   */
+  async getLeaderboard({ groupId = null } = {}) {
+    const rules = await scoring.getRules(groupId);
+
+    // Global standings include verified users; group standings include every member
+    const usersResult = groupId
+      ? await pool.query(`
+          SELECT u.id, u.username
+          FROM group_members gm
+          JOIN users u ON gm.user_id = u.id
+          WHERE gm.group_id = $1
+        `, [groupId])
+      : await pool.query(`
+          SELECT id, username FROM users WHERE is_verified = true
+        `);
+
+    const userIds = usersResult.rows.map(u => u.id);
+    const roundNumbers = await rounds.getRoundNumbers();
+
+    // In approved-only mode, totals are read as they were before any unreviewed change
+    const statsSource = await statChanges.playerStatsSource();
+    const picksResult = await pool.query(`
+      SELECT
+        r.user_id, r.round, p.position, rp.is_star,
+        ps.goals, ps.assists, ps.wins, ps.shutouts
+      FROM rosters r
+      JOIN scored_roster_players rp ON r.id = rp.roster_id
+      JOIN players p ON rp.player_id = p.id
+      LEFT JOIN ${statsSource} ps ON p.id = ps.player_id AND r.round = ps.round
+      WHERE r.submitted_version_id IS NOT NULL AND r.user_id = ANY($1::uuid[])
+    `, [userIds]);
+
+    const entries = new Map(usersResult.rows.map(u => [u.id, {
+      user_id: u.id,
+      username: u.username,
+      total_points: 0,
+      ...Object.fromEntries(roundNumbers.map(round => [`r${round}_points`, 0]))
+    }]));
+
+    for (const pick of picksResult.rows) {
+      const entry = entries.get(pick.user_id);
+      const points = scoring.playerPoints(pick, pick.position, pick.is_star, rules);
+      entry.total_points += points;
+      if (entry[`r${pick.round}_points`] !== undefined) {
+        entry[`r${pick.round}_points`] += points;
+      }
+    }
+
+    const { answers, guesses } = await this.getTiebreakerData(userIds);
+    const compare = (a, b) =>
+      (b.total_points - a.total_points) || this.compareTiebreakers(a.user_id, b.user_id, answers, guesses);
+
+    const sorted = [...entries.values()].sort(compare);
+
+    const previousRanks = await this.getPreviousRanks(groupId);
+
+    // Competition ranking: tied entries share the rank of the first of them (1, 1, 3)
+    let rank = 0;
+    return sorted.map((entry, i) => {
+      if (i === 0 || compare(sorted[i - 1], entry) !== 0) {
+        rank = i + 1;
+      }
+      const previousRank = previousRanks.get(entry.user_id) ?? null;
+      return {
+        ...entry,
+        rank,
+        previous_rank: previousRank,
+        movement: previousRank === null ? 0 : previousRank - rank
+      };
+    });
+  }
+
+  /**
+   * Ranks from the latest daily snapshot, used for up/down movement arrows
+   */
+  async getPreviousRanks(groupId = null) {
+    const result = await pool.query(`
+      SELECT e.user_id, e.rank
+      FROM standings_snapshot_entries e
+      WHERE e.snapshot_id = (
+        SELECT id FROM standings_snapshots WHERE kind = 'daily' ORDER BY taken_at DESC LIMIT 1
+      )
+      AND e.group_id IS NOT DISTINCT FROM $1::uuid
+    `, [groupId]);
+
+    return new Map(result.rows.map(r => [r.user_id, r.rank]));
+  }
+
+  /**
+   * Record the global leaderboard and every group's leaderboard
+   */
+  async takeSnapshot(kind = 'update') {
+    const snapshotResult = await pool.query(`
+      INSERT INTO standings_snapshots (kind) VALUES ($1) RETURNING id, taken_at
+    `, [kind]);
+    const snapshot = snapshotResult.rows[0];
+
+    const groupsResult = await pool.query('SELECT id FROM groups');
+    const scopes = [null, ...groupsResult.rows.map(g => g.id)];
+
+    for (const groupId of scopes) {
+      const leaderboard = await this.getLeaderboard({ groupId });
+      if (leaderboard.length === 0) continue;
+
+      await pool.query(`
+        INSERT INTO standings_snapshot_entries (snapshot_id, group_id, user_id, total_points, rank)
+        SELECT $1::int, $2::uuid, * FROM unnest($3::uuid[], $4::numeric[], $5::int[])
+      `, [
+        snapshot.id,
+        groupId,
+        leaderboard.map(e => e.user_id),
+        leaderboard.map(e => e.total_points),
+        leaderboard.map(e => e.rank)
+      ]);
+    }
+
+    console.log(`✓ Standings snapshot ${snapshot.id} (${kind}) recorded for ${scopes.length} leaderboards`);
+    return snapshot;
+  }
+
+  /**
+   * A user's rank over time, oldest first, with movement since the previous snapshot
+   */
+  async getRankHistory(userId, groupId = null) {
+    const result = await pool.query(`
+      SELECT s.taken_at, s.kind, e.rank, e.total_points
+      FROM standings_snapshot_entries e
+      JOIN standings_snapshots s ON e.snapshot_id = s.id
+      WHERE e.user_id = $1 AND e.group_id IS NOT DISTINCT FROM $2::uuid
+      ORDER BY s.taken_at
+    `, [userId, groupId]);
+
+    const history = result.rows.map(r => ({
+      takenAt: r.taken_at,
+      kind: r.kind,
+      rank: r.rank,
+      totalPoints: parseFloat(r.total_points)
+    }));
+
+    const latest = history[history.length - 1];
+    const previous = history[history.length - 2];
+
+    return {
+      history,
+      movement: latest && previous ? previous.rank - latest.rank : 0,
+      pointsGained: latest && previous ? latest.totalPoints - previous.totalPoints : 0
+    };
+  }
+
+  /**
+   * Fantasy points each user earned from games played on one date.
+   * Defaults to the most recent date with games ("last night").
+   */
+  async getPointsForDate(date = null) {
+    let gameDate = date;
+    if (!gameDate) {
+      const dateResult = await pool.query(`
+        SELECT to_char(MAX(game_date), 'YYYY-MM-DD') as game_date
+        FROM player_game_stats
+        WHERE game_date <= CURRENT_DATE
+      `);
+      gameDate = dateResult.rows[0].game_date;
+    }
+
+    if (!gameDate) {
+      return { date: null, entries: [] };
+    }
+
+    const rules = await scoring.getRules();
+
+    const result = await pool.query(`
+      SELECT
+        u.id as user_id, u.username,
+        p.id as player_id, p.name, p.position, rp.is_star,
+        g.goals, g.assists, g.decision, g.shutouts
+      FROM ${overrides.gameStatsSource()} g
+      JOIN scored_roster_players rp ON rp.player_id = g.player_id
+      JOIN rosters r ON rp.roster_id = r.id AND r.round = g.round AND r.submitted_version_id IS NOT NULL
+      JOIN users u ON r.user_id = u.id
+      JOIN players p ON g.player_id = p.id
+      WHERE g.game_date = $1 AND u.is_verified = true
+    `, [gameDate]);
+
+    const entries = new Map();
+    for (const row of result.rows) {
+      if (!entries.has(row.user_id)) {
+        entries.set(row.user_id, { user_id: row.user_id, username: row.username, points: 0, players: [] });
+      }
+      const entry = entries.get(row.user_id);
+      const points = scoring.gamePoints(row, row.position, row.is_star, rules);
+      entry.points += points;
+      entry.players.push({ id: row.player_id, name: row.name, isStar: row.is_star, points });
+    }
+
+    return {
+      date: gameDate,
+      entries: [...entries.values()].sort((a, b) => b.points - a.points)
+    };
+  }
+
+  /**
+   * Load answered tiebreaker questions and the users' guesses.
+   * Answers are ordered latest round first, so the most recent round decides ties.
+   */
+  async getTiebreakerData(userIds) {
+    const answersResult = await pool.query(`
+      SELECT round, question_number, answer
+      FROM tiebreaker_questions
+      WHERE answer IS NOT NULL
+      ORDER BY round DESC, question_number
+    `);
+
+    // Guesses count as they were in each roster's latest submitted version
+    const guessesResult = await pool.query(`
+      SELECT r.user_id, r.round, v.question1_answer, v.question2_answer
+      FROM rosters r
+      JOIN roster_versions v ON v.id = r.submitted_version_id
+      WHERE r.user_id = ANY($1::uuid[])
+    `, [userIds]);
+
+    const guesses = new Map();
+    for (const row of guessesResult.rows) {
+      guesses.set(`${row.user_id}:${row.round}`, {
+        1: row.question1_answer,
+        2: row.question2_answer
+      });
+    }
+
+    return { answers: answersResult.rows, guesses };
+  }
+
+  /**
+   * Score a guess as [bucket, distance]: guesses at or under the answer beat
+   * guesses over it, which beat no guess at all. Lower is better.
+   */
+  tiebreakerDistance(guess, answer) {
+    if (guess === null || guess === undefined) return [2, 0];
+    if (guess <= answer) return [0, answer - guess];
+    return [1, guess - answer];
+  }
+
+  /**
+   * Compare two users on tiebreaker questions, "closest without going over"
+   */
+  compareTiebreakers(userA, userB, answers, guesses) {
+    for (const { round, question_number, answer } of answers) {
+      const [bucketA, distanceA] = this.tiebreakerDistance(guesses.get(`${userA}:${round}`)?.[question_number], answer);
+      const [bucketB, distanceB] = this.tiebreakerDistance(guesses.get(`${userB}:${round}`)?.[question_number], answer);
+
+      if (bucketA !== bucketB) return bucketA - bucketB;
+      if (distanceA !== distanceB) return distanceA - distanceB;
+    }
+    return 0;
+  }
+}
+
+module.exports = new StandingsService();
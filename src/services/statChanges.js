@@ -0,0 +1,117 @@
+const pool = require('../../config/database');
+
+// player_stats columns tracked in stat_changes
+const STAT_FIELDS = ['goals', 'assists', 'wins', 'shutouts', 'games_played'];
+
+// player_stats with every pending change rolled back to the value before its earliest pending change
+const APPROVED_PLAYER_STATS = `(
+  SELECT ps.player_id, ps.round,
+    ${STAT_FIELDS.map(f => `CASE WHEN bool_or(c.field = '${f}') THEN COALESCE(MAX(c.old_value) FILTER (WHERE c.field = '${f}'), 0) ELSE ps.${f} END AS ${f}`).join(',\n    ')}
+  FROM player_stats ps
+  LEFT JOIN (
+    SELECT DISTINCT ON (player_id, round, field) player_id, round, field, old_value
+    FROM stat_changes
+    WHERE status = 'pending'
+    ORDER BY player_id, round, field, id
+  ) c ON c.player_id = ps.player_id AND c.round = ps.round
+  GROUP BY ps.player_id, ps.round, ${STAT_FIELDS.map(f => `ps.${f}`).join(', ')}
+)`;
+
+class StatChangeService {
+  formatChange(row) {
+    return {
+      id: row.id,
+      playerId: row.player_id,
+      playerName: row.player_name,
+      team: row.team_abbrev,
+      round: row.round,
+      field: row.field,
+      oldValue: row.old_value,
+      newValue: row.new_value,
+      source: row.source,
+      updateLogId: row.update_log_id,
+      status: row.status,
+      reviewedBy: row.reviewed_by_username || null,
+      reviewedAt: row.reviewed_at,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Stat changes with the given status, newest first
+   */
+  async getChanges({ status = 'pending', limit = 500 } = {}) {
+    const result = await pool.query(`
+      SELECT c.*, p.name as player_name, p.team_abbrev, u.username as reviewed_by_username
+      FROM stat_changes c
+      JOIN players p ON c.player_id = p.id
+      LEFT JOIN users u ON c.reviewed_by = u.id
+      WHERE c.status = $1
+      ORDER BY c.created_at DESC, c.id DESC
+      LIMIT $2
+    `, [status, limit]);
+
+    return result.rows.map(row => this.formatChange(row));
+  }
+
+  /**
+   * Approve pending changes, or every pending change when ids is null.
+   * Approving a change also approves earlier pending changes to the same stat,
+   * so the approved value is always the one it replaced.
+   */
+  async approve({ ids = null, userId }) {
+    const result = ids
+      ? await pool.query(`
+          UPDATE stat_changes c
+          SET status = 'approved', reviewed_by = $2, reviewed_at = NOW()
+          FROM stat_changes a
+          WHERE a.id = ANY($1::int[])
+            AND c.status = 'pending'
+            AND c.player_id = a.player_id AND c.round = a.round AND c.field = a.field
+            AND c.id <= a.id
+        `, [ids, userId])
+      : await pool.query(`
+          UPDATE stat_changes
+          SET status = 'approved', reviewed_by = $1, reviewed_at = NOW()
+          WHERE status = 'pending'
+        `, [userId]);
+
+    await this.refreshVerified();
+    return result.rowCount;
+  }
+
+  /**
+   * Stats are verified when no change is waiting for review
+   */
+  async refreshVerified() {
+    const result = await pool.query(`
+      UPDATE settings
+      SET value = to_jsonb(NOT EXISTS (SELECT 1 FROM stat_changes WHERE status = 'pending')), updated_at = NOW()
+      WHERE key = 'stats_verified'
+      RETURNING value
+    `);
+    return result.rows[0]?.value === true;
+  }
+
+  async isApprovedOnly() {
+    const result = await pool.query(`SELECT value FROM settings WHERE key = 'stats_approved_only'`);
+    return result.rows[0]?.value === true;
+  }
+
+  async setApprovedOnly(enabled) {
+    await pool.query(`
+      INSERT INTO settings (key, value, updated_at) VALUES ('stats_approved_only', to_jsonb($1::boolean), NOW())
+      ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+    `, [enabled]);
+  }
+
+  /**
+   * Table expression standings should read round totals from:
+   * player_stats itself, or its approved-only view when that mode is on
+   */
+  async playerStatsSource() {
+    return (await this.isApprovedOnly()) ? APPROVED_PLAYER_STATS : 'player_stats';
+  }
+}
+
+module.exports = new StatChangeService();
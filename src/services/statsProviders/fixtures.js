@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline stats provider that replays recorded NHL payloads from disk.
+ *
+ * Fixture directory layout:
+ *   manifest.json                    optional, { "startDate": "YYYY-MM-DD" }
+ *   game-log/<nhlPlayerId>.json      full playoff game-log payload per player
+ *   player/<nhlPlayerId>.json        player landing payload
+ *   roster/<teamAbbrev>.json         team roster payload
+ *   schedule/<YYYY-MM-DD>.json       schedule payload as of that day
+ *   playoff-bracket/<YYYY-MM-DD>.json bracket payload as of that day
+ *   replay-state.json                current replay date, written by advance()/reset()
+ *
+ * Only games on or before the replay date are returned, and dated payloads
+ * resolve to the latest file on or before it. With no replay date set,
+ * everything in the fixtures is visible.
+ */
+class FixtureStatsProvider {
+  constructor({ dir }) {
+    this.name = 'fixtures';
+    this.dir = dir;
+    this.statePath = path.join(dir, 'replay-state.json');
+  }
+
+  readJson(relPath) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, relPath), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  writeJson(relPath, data) {
+    const filePath = path.join(this.dir, relPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+  }
+
+  /**
+   * Current replay date (YYYY-MM-DD), or null to replay everything
+   */
+  getReplayDate() {
+    const state = this.readJson('replay-state.json');
+    if (state?.date) return state.date;
+    return this.readJson('manifest.json')?.startDate || null;
+  }
+
+  /**
+   * The provider's clock: the start of the replay date, or null when replaying everything
+   */
+  now() {
+    const date = this.getReplayDate();
+    return date ? new Date(`${date}T00:00:00Z`) : null;
+  }
+
+  /**
+   * Move the replay date forward, making the next day's games visible
+   */
+  advance(days = 1) {
+    const current = this.getReplayDate();
+    if (!current) {
+      throw new Error('No replay date set. Run reset with a start date or add startDate to manifest.json');
+    }
+    const next = new Date(`${current}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    const date = next.toISOString().slice(0, 10);
+    this.writeJson('replay-state.json', { date });
+    return date;
+  }
+
+  /**
+   * Restart the replay at the given date, or at the manifest start date
+   */
+  reset(date = null) {
+    if (date) {
+      this.writeJson('replay-state.json', { date });
+      return date;
+    }
+    fs.rmSync(this.statePath, { force: true });
+    return this.getReplayDate();
+  }
+
+  /**
+   * Latest dated payload in a fixture subdirectory on or before the replay date
+   */
+  readDated(subdir) {
+    let files;
+    try {
+      files = fs.readdirSync(path.join(this.dir, subdir));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const date = this.getReplayDate();
+    const match = files
+      .filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+      .map(f => f.slice(0, 10))
+      .filter(d => !date || d <= date)
+      .sort()
+      .pop();
+
+    return match ? this.readJson(path.join(subdir, `${match}.json`)) : null;
+  }
+
+  /**
+   * Latest recorded schedule, limited like the NHL API to the week starting at start (YYYY-MM-DD) when given;
+   * games after the replay date are reported as not yet played
+   */
+  async getSchedule(start = null) {
+    const schedule = this.readDated('schedule');
+    if (!schedule?.gameWeek) return schedule;
+
+    let gameWeek = schedule.gameWeek;
+    if (start) {
+      const end = new Date(`${start}T00:00:00Z`);
+      end.setUTCDate(end.getUTCDate() + 7);
+      const endDate = end.toISOString().slice(0, 10);
+      gameWeek = gameWeek.filter(day => day.date >= start && day.date < endDate);
+    }
+
+    const date = this.getReplayDate();
+    return {
+      ...schedule,
+      gameWeek: gameWeek.map(day => !date || day.date <= date ? day : {
+        ...day,
+        games: (day.games || []).map(g => ({ ...g, gameState: 'FUT' }))
+      })
+    };
+  }
+
+  async getPlayerGameLog(nhlPlayerId) {
+    const payload = this.readJson(path.join('game-log', `${nhlPlayerId}.json`));
+    if (!payload?.gameLog) {
+      return { gameLog: [] };
+    }
+
+    const date = this.getReplayDate();
+    return {
+      ...payload,
+      gameLog: date ? payload.gameLog.filter(g => g.gameDate <= date) : payload.gameLog
+    };
+  }
+
+  async getPlayerInfo(nhlPlayerId) {
+    return this.readJson(path.join('player', `${nhlPlayerId}.json`));
+  }
+
+  async getTeamRoster(teamAbbrev) {
+    return this.readJson(path.join('roster', `${teamAbbrev}.json`));
+  }
+
+  async getPlayoffBracket() {
+    return this.readDated('playoff-bracket');
+  }
+}
+
+module.exports = FixtureStatsProvider;
@@ -0,0 +1,23 @@
+const path = require('path');
+const NHLStatsProvider = require('./nhl');
+const FixtureStatsProvider = require('./fixtures');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../../fixtures/stats');
+
+/**
+ * Build the stats provider selected by STATS_PROVIDER ('nhl' or 'fixtures')
+ */
+function createStatsProvider({ season, gameType }) {
+  const name = process.env.STATS_PROVIDER || 'nhl';
+
+  if (name === 'nhl') {
+    return new NHLStatsProvider({ season, gameType });
+  }
+  if (name === 'fixtures') {
+    return new FixtureStatsProvider({ dir: process.env.STATS_FIXTURES_DIR || DEFAULT_FIXTURES_DIR });
+  }
+
+  throw new Error(`Unknown STATS_PROVIDER "${name}" (expected "nhl" or "fixtures")`);
+}
+
+module.exports = { createStatsProvider, NHLStatsProvider, FixtureStatsProvider };
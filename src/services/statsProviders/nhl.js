@@ -0,0 +1,106 @@
+const axios = require('axios');
+
+const NHL_API_BASE = 'https://api-web.nhle.com/v1';
+const MAX_RETRIES = 3;
+const RETRY_BASE_MS = 500;
+
+/**
+ * Live stats provider backed by the public NHL web API
+ */
+class NHLStatsProvider {
+  constructor({ season, gameType }) {
+    this.name = 'nhl';
+    this.season = season;
+    this.gameType = gameType;
+  }
+
+  /**
+   * GET with retries on 429 and 5xx, backing off exponentially
+   * (or for as long as a Retry-After header asks)
+   */
+  async get(url, headers = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.get(url, {
+          headers,
+          timeout: 15000,
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = status === 429 || status >= 500;
+        if (!retryable || attempt >= MAX_RETRIES) throw error;
+
+        const retryAfter = parseInt(error.response.headers?.['retry-after']);
+        const delay = retryAfter > 0 ? retryAfter * 1000 : RETRY_BASE_MS * 2 ** attempt;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * The provider's clock, which live stats follow in real time
+   */
+  now() {
+    return new Date();
+  }
+
+  /**
+   * Schedule for the week starting at date (YYYY-MM-DD), or the current week
+   */
+  async getSchedule(date = null) {
+    const response = await this.get(`${NHL_API_BASE}/schedule/${date || 'now'}`);
+    return response.data;
+  }
+
+  /**
+   * Pass the etag from a previous fetch to make the request conditional;
+   * an unchanged game log comes back as { notModified: true }.
+   */
+  async getPlayerGameLog(nhlPlayerId, { etag = null } = {}) {
+    try {
+      const response = await this.get(
+        `${NHL_API_BASE}/player/${nhlPlayerId}/game-log/${this.season}/${this.gameType}`,
+        etag ? { 'If-None-Match': etag } : {}
+      );
+      if (response.status === 304) {
+        return { notModified: true };
+      }
+      return { ...response.data, etag: response.headers.etag || null };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        // Player has no playoff games yet
+        return { gameLog: [] };
+      }
+      throw error;
+    }
+  }
+
+  async getPlayerInfo(nhlPlayerId) {
+    const response = await this.get(`${NHL_API_BASE}/player/${nhlPlayerId}/landing`);
+    return response.data;
+  }
+
+  /**
+   * Season roster for one team (forwards, defensemen, goalies); null if the team has none
+   */
+  async getTeamRoster(teamAbbrev) {
+    try {
+      const response = await this.get(`${NHL_API_BASE}/roster/${teamAbbrev}/${this.season}`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getPlayoffBracket() {
+    // The bracket is keyed by the year the playoffs are played in (20252026 -> 2026)
+    const response = await this.get(`${NHL_API_BASE}/playoff-bracket/${this.season.slice(4)}`);
+    return response.data;
+  }
+}
+
+module.exports = NHLStatsProvider;